@@ -0,0 +1,185 @@
+/**
+ * Pool standings and overall seeding from the command line
+ * - `npm run standings -- <file.json> [options]`, or `node scripts/standings.js`
+ * - Reads an exported tournament file, a saved state or a single pool object
+ *   and scores it with the same modules as the app (src/lib/standings.js)
+ * - Prints text tables, or writes JSON or CSV for league scripts
+ * - No dependencies: node:util's argument parser and node:fs
+ */
+import { readFileSync, writeFileSync } from "node:fs";
+import { parseArgs } from "node:util";
+import { FILE_FORMAT, parseStateFile, validateState, csvText } from "../src/lib/storage.js";
+import { activeEventOf, openEvent } from "../src/lib/tournament.js";
+import {
+  DEFAULT_PROMOTION,
+  FENCER_STATUSES,
+  STANDINGS_COLUMNS,
+  OVERALL_COLUMNS,
+  formatRatio,
+  computePoolStandings,
+  sortStandings,
+  computeOverallSeeding,
+  standingsRows,
+  overallRows,
+} from "../src/lib/standings.js";
+
+const USAGE = `Usage: node scripts/standings.js <file.json> [options]
+
+Options:
+  --event <id>     event to score (default: the event open when saved)
+  --round <n>      pool round, counted from 1 (default: the event's open round)
+  --pool <id>      only this pool; with --format csv, its standings
+  --format <fmt>   text (default), json or csv (the overall seeding)
+  --out <file>     write to a file instead of standard output
+  -h, --help       show this help`;
+
+const FORMATS = ["text", "json", "csv"];
+
+function fail(msg) {
+  console.error(`standings: ${msg}`);
+  process.exit(1);
+}
+
+// An exported file, a saved state, or one pool on its own
+function readTournament(file) {
+  let text;
+  try {
+    text = readFileSync(file, "utf8");
+  } catch (err) {
+    fail(`cannot read ${file}: ${err.message}`);
+  }
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    fail(`${file} is not valid JSON`);
+  }
+  try {
+    if (data?.format === FILE_FORMAT) return parseStateFile(text);
+    if (Array.isArray(data?.fencers) && data.bouts) {
+      return validateState({ pools: [data], activePoolId: data.id, nextPoolId: data.id + 1 });
+    }
+    return validateState(data);
+  } catch (err) {
+    fail(err.message);
+  }
+}
+
+function intOption(value, name) {
+  if (value === undefined) return undefined;
+  const n = Number(value);
+  if (!Number.isInteger(n)) fail(`--${name} must be a whole number`);
+  return n;
+}
+
+// -------- Scoring --------
+function scoreRound(state, poolId) {
+  const barrages = state.barrages ?? [];
+  const pools = poolId === undefined ? state.pools : state.pools.filter((p) => p.id === poolId);
+  if (pools.length === 0) fail(`no pool with id ${poolId} (pools: ${state.pools.map((p) => p.id).join(", ")})`);
+  return {
+    pools: pools.map((pool) => ({ pool, standings: sortStandings(computePoolStandings(pool, barrages)) })),
+    // The seeding always spans the whole round, as the cut does
+    overall: computeOverallSeeding(state.pools, state.promotion ?? DEFAULT_PROMOTION, barrages),
+  };
+}
+
+// -------- Output --------
+function table(header, rows) {
+  const widths = header.map((h, c) => Math.max(String(h).length, ...rows.map((r) => String(r[c]).length)));
+  const line = (r) => r.map((v, c) => (typeof v === "number" ? String(v).padStart(widths[c]) : String(v).padEnd(widths[c]))).join("  ");
+  return [line(header), widths.map((w) => "-".repeat(w)).join("  "), ...rows.map(line)].map((l) => l.trimEnd()).join("\n");
+}
+
+function textReport(event, round, result) {
+  const title = [event.name, event.rounds.length > 1 ? `round ${round + 1}` : ""].filter(Boolean).join(" — ");
+  const parts = [title];
+  result.pools.forEach(({ pool, standings }) => {
+    parts.push(`${pool.name}${pool.finalized ? " (final)" : ""}\n${table(STANDINGS_COLUMNS, standingsRows(standings))}`);
+  });
+  parts.push(`Overall seeding\n${table(OVERALL_COLUMNS, overallRows(result.overall))}`);
+  return parts.join("\n\n");
+}
+
+const poolRow = (r) => ({
+  place: r.Place,
+  tied: !!r.tie,
+  name: r.name,
+  V: r.V,
+  M: r.M,
+  ratio: formatRatio(r),
+  HS: r.HS,
+  HR: r.HR,
+  IND: r.IND,
+  status: r.status ? FENCER_STATUSES[r.status] : "",
+});
+
+function jsonReport(event, round, result) {
+  return JSON.stringify(
+    {
+      event: { id: event.id, name: event.name, weapon: event.weapon, category: event.category, date: event.date },
+      round: round + 1,
+      pools: result.pools.map(({ pool, standings }) => ({
+        id: pool.id,
+        name: pool.name,
+        finalized: !!pool.finalized,
+        standings: standings.map(poolRow),
+      })),
+      overall: result.overall.map((r) => ({
+        seed: r.seed,
+        ...poolRow(r),
+        pool: r.poolName,
+        poolPlace: r.poolPlace,
+        promoted: r.promoted,
+      })),
+    },
+    null,
+    2
+  );
+}
+
+// -------- Main --------
+let args;
+try {
+  args = parseArgs({
+    allowPositionals: true,
+    options: {
+      event: { type: "string" },
+      round: { type: "string" },
+      pool: { type: "string" },
+      format: { type: "string", default: "text" },
+      out: { type: "string" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+} catch (err) {
+  fail(`${err.message}\n\n${USAGE}`);
+}
+const { values, positionals } = args;
+if (values.help) {
+  console.log(USAGE);
+  process.exit(0);
+}
+if (positionals.length !== 1) fail(`expected one input file\n\n${USAGE}`);
+if (!FORMATS.includes(values.format)) fail(`--format must be one of ${FORMATS.join(", ")}`);
+
+const tournament = readTournament(positionals[0]);
+const eventId = intOption(values.event, "event");
+const event = eventId === undefined ? activeEventOf(tournament) : tournament.events.find((e) => e.id === eventId);
+if (!event) fail(`no event with id ${eventId} (events: ${tournament.events.map((e) => e.id).join(", ")})`);
+const roundNo = intOption(values.round, "round");
+const round = roundNo === undefined ? event.round : roundNo - 1;
+if (!event.rounds[round]) fail(`--round must be between 1 and ${event.rounds.length}`);
+const poolId = intOption(values.pool, "pool");
+
+const result = scoreRound(openEvent(event, round), poolId);
+let output;
+if (values.format === "json") output = jsonReport(event, round, result);
+else if (values.format === "csv") {
+  output = poolId === undefined
+    ? csvText([OVERALL_COLUMNS, ...overallRows(result.overall)])
+    : csvText([STANDINGS_COLUMNS, ...standingsRows(result.pools[0].standings)]);
+} else output = textReport(event, round, result);
+
+if (values.out) writeFileSync(values.out, `${output}\n`);
+else console.log(output);
@@ -0,0 +1,173 @@
+/**
+ * Local WebSocket relay for multi-device live sync
+ * - Run on any machine on the venue network: `npm run relay` (PORT, default 8787)
+ * - Devices join a room and every batch of operations is forwarded to the
+ *   other devices in that room
+ * - Each room keeps an in-memory log so a device that reconnects receives
+ *   everything it missed; publishing the whole tournament truncates the log
+ * - No dependencies: a minimal RFC 6455 text-frame implementation on node:http
+ */
+import { createServer } from "node:http";
+import { createHash, randomUUID } from "node:crypto";
+
+const PORT = Number(process.env.PORT) || 8787;
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+// Identifies this run of the relay, so devices notice when its log was lost
+const EPOCH = randomUUID();
+
+// room -> { seq, log: [{ seq, ops }], clients: Set<socket> }
+const rooms = new Map();
+
+function getRoom(name) {
+  if (!rooms.has(name)) rooms.set(name, { seq: 0, log: [], clients: new Set() });
+  return rooms.get(name);
+}
+
+// -------- WebSocket framing --------
+function encodeFrame(text, opcode = 0x1) {
+  const payload = Buffer.from(text);
+  const len = payload.length;
+  let header;
+  if (len < 126) {
+    header = Buffer.from([0x80 | opcode, len]);
+  } else if (len < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(len, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(len), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+/** Splits complete frames off `buffer`; returns `{ frames, rest }`. */
+function decodeFrames(buffer) {
+  const frames = [];
+  let offset = 0;
+  while (buffer.length - offset >= 2) {
+    const b0 = buffer[offset];
+    const b1 = buffer[offset + 1];
+    let len = b1 & 0x7f;
+    let pos = offset + 2;
+    if (len === 126) {
+      if (buffer.length < pos + 2) break;
+      len = buffer.readUInt16BE(pos);
+      pos += 2;
+    } else if (len === 127) {
+      if (buffer.length < pos + 8) break;
+      len = Number(buffer.readBigUInt64BE(pos));
+      pos += 8;
+    }
+    const masked = (b1 & 0x80) !== 0;
+    const mask = masked ? buffer.subarray(pos, pos + 4) : null;
+    if (masked) pos += 4;
+    if (buffer.length < pos + len) break;
+    const payload = Buffer.from(buffer.subarray(pos, pos + len));
+    if (mask) for (let k = 0; k < payload.length; k++) payload[k] ^= mask[k % 4];
+    frames.push({ fin: (b0 & 0x80) !== 0, opcode: b0 & 0x0f, payload });
+    offset = pos + len;
+  }
+  return { frames, rest: buffer.subarray(offset) };
+}
+
+function send(socket, message) {
+  if (!socket.destroyed) socket.write(encodeFrame(JSON.stringify(message)));
+}
+
+// -------- Rooms --------
+// An operation as lib/sync.js sends it: a key and a Lamport stamp `{ n, d }`
+function isOp(op) {
+  return (
+    !!op && typeof op === "object" && typeof op.key === "string" &&
+    !!op.stamp && Number.isInteger(op.stamp.n) && op.stamp.n >= 0 && typeof op.stamp.d === "string"
+  );
+}
+
+function handleMessage(socket, state, text) {
+  let msg;
+  try {
+    msg = JSON.parse(text);
+  } catch {
+    return;
+  }
+  if (!msg || typeof msg !== "object") return;
+  if (msg.type === "hello" && typeof msg.room === "string") {
+    state.room?.clients.delete(socket);
+    state.room = getRoom(msg.room);
+    state.room.clients.add(socket);
+    // A device from an earlier run of the relay catches up from the start
+    const since = msg.epoch === EPOCH ? Number(msg.since) || 0 : 0;
+    const missed = state.room.log.filter((entry) => entry.seq > since).flatMap((entry) => entry.ops);
+    send(socket, { type: "ops", ops: missed, seq: state.room.seq, epoch: EPOCH });
+    console.log(`[${msg.room}] device ${msg.device} joined (${state.room.clients.size} connected, ${missed.length} op(s) caught up)`);
+    return;
+  }
+  if (msg.type === "ops" && state.room && Array.isArray(msg.ops)) {
+    if (!msg.ops.every(isOp)) {
+      console.log(`dropped a malformed batch of ${msg.ops.length} op(s)`);
+      return;
+    }
+    const room = state.room;
+    room.seq += 1;
+    if (msg.ops.some((op) => op.key === "*")) room.log = [];
+    room.log.push({ seq: room.seq, ops: msg.ops });
+    room.clients.forEach((client) => send(client, { type: "ops", ops: msg.ops, seq: room.seq, epoch: EPOCH }));
+  }
+}
+
+function onUpgrade(req, socket) {
+  const key = req.headers["sec-websocket-key"];
+  if (!key) {
+    socket.destroy();
+    return;
+  }
+  const accept = createHash("sha1").update(key + WS_GUID).digest("base64");
+  socket.write(
+    "HTTP/1.1 101 Switching Protocols\r\n" +
+    "Upgrade: websocket\r\n" +
+    "Connection: Upgrade\r\n" +
+    `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+  socket.setNoDelay(true);
+
+  const state = { room: null, buffer: Buffer.alloc(0), fragments: [] };
+  socket.on("data", (chunk) => {
+    const { frames, rest } = decodeFrames(Buffer.concat([state.buffer, chunk]));
+    state.buffer = rest;
+    frames.forEach(({ fin, opcode, payload }) => {
+      if (opcode === 0x8) {
+        socket.end(encodeFrame("", 0x8));
+      } else if (opcode === 0x9) {
+        socket.write(Buffer.concat([Buffer.from([0x8a, payload.length]), payload]));
+      } else if (opcode === 0x1 || opcode === 0x0) {
+        state.fragments.push(payload);
+        if (fin) {
+          const text = Buffer.concat(state.fragments).toString("utf8");
+          state.fragments = [];
+          // One bad message must not take the relay down for every room
+          try {
+            handleMessage(socket, state, text);
+          } catch (err) {
+            console.error(`message dropped: ${err.message}`);
+          }
+        }
+      }
+    });
+  });
+  const leave = () => state.room?.clients.delete(socket);
+  socket.on("close", leave);
+  socket.on("error", leave);
+}
+
+const server = createServer((req, res) => {
+  res.writeHead(200, { "Content-Type": "text/plain" });
+  res.end(`fencingpool relay — ${rooms.size} room(s)\n`);
+});
+server.on("upgrade", onUpgrade);
+server.listen(PORT, () => {
+  console.log(`fencingpool relay listening on ws://0.0.0.0:${PORT}`);
+});
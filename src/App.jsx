@@ -1,89 +1,203 @@
 import { useState, useEffect, useRef, useMemo } from 'react';
+import {
+  saveState,
+  loadState,
+  keepAutosave,
+  saveSnapshot,
+  listSnapshots,
+  loadSnapshot,
+  deleteSnapshot,
+  serializeState,
+  parseStateFile,
+  downloadJSON,
+  downloadFile,
+  csvText,
+  loadScorer,
+  saveScorer,
+  loadSyncSettings,
+  saveSyncSettings,
+} from './lib/storage.js';
+import { boutNotation } from './lib/bout.js';
+import { generateBoutOrder } from './lib/boutOrder.js';
+import {
+  MIN_POOL_SIZE,
+  DEFAULT_POOL_TOUCHES,
+  createEmptyPool,
+  createRosterPool,
+  pairKey,
+  getBout,
+  pairBouts,
+  withBout,
+  poolPairs,
+  addPoolFencer,
+  removePoolFencer,
+  movePoolFencer,
+  updatePoolFencer,
+  fencerHasResults,
+} from './lib/pool.js';
+import { DEFAULT_HANDICAP_TABLE, applyHandicaps } from './lib/handicap.js';
+import { TEAM_TOUCHES, TEAM_SIZE, SUBSTITUTE, createTeamPool, makeTeamMembers, memberName, relayMemberStats } from './lib/team.js';
+import { cellText, applyCellText } from './lib/sheetEntry.js';
+import { poolProgress, isPoolComplete, poolIssues } from './lib/validation.js';
+import {
+  DEFAULT_PROMOTION,
+  FENCER_STATUSES,
+  STANDINGS_COLUMNS,
+  OVERALL_COLUMNS,
+  calcPairStats,
+  formatRatio,
+  computePoolStandings,
+  sortStandings,
+  computeOverallSeeding,
+  standingsRows,
+  overallRows,
+} from './lib/standings.js';
+import { DISPLAY_HASH, publishDisplay } from './lib/display.js';
+import { WEAPONS, createEvent, createRound, openEvent, storeEvent, nextRoundPools, eventStage, eventEntries } from './lib/tournament.js';
+import { MEDAL_PLACES, BARRAGE_TOUCHES, createBarrage, findBarrage } from './lib/barrage.js';
+import { drawPools } from './lib/roster.js';
+import { collectDiscipline } from './lib/discipline.js';
+import { COALESCE_MS, diffPools, changeKey, appendAudit, AUDIT_COLUMNS, auditRows } from './lib/audit.js';
+import { makeSyncMeta, poolChanges, stampChanges, stampPublish, queueOps, ackOps, receiveOp, connectSync } from './lib/sync.js';
+import { buildCompetitionXml, parseCompetitionXml } from './lib/fieXml.js';
+import { DE_TOUCHES, THIRD_PLACE_KEY, createBracket, resolveBracket, matchBout, withMatchBout } from './lib/bracket.js';
+import { POOL_CLOCK, DE_CLOCK } from './lib/clock.js';
+import BoutList from './components/BoutList.jsx';
+import OverallResults from './components/OverallResults.jsx';
+import DEBracket from './components/DEBracket.jsx';
+import RosterPanel from './components/RosterPanel.jsx';
+import DisciplineReport from './components/DisciplineReport.jsx';
+import AuditLog from './components/AuditLog.jsx';
+import SyncPanel from './components/SyncPanel.jsx';
+import HandicapPanel from './components/HandicapPanel.jsx';
+import RankingSettings from './components/RankingSettings.jsx';
+import BarragePanel from './components/BarragePanel.jsx';
+import BoutEditor from './components/BoutEditor.jsx';
+import RelayEditor from './components/RelayEditor.jsx';
+import FenceMode from './components/FenceMode.jsx';
+import SheetCell from './components/SheetCell.jsx';
+import ValidationPanel from './components/ValidationPanel.jsx';
+import TournamentDashboard from './components/TournamentDashboard.jsx';
+import PrintSheets from './components/PrintSheets.jsx';
 
 /**
- * Multi-Pool Digital Fencing Sheet with React state persistence
+ * Multi-Pool Digital Fencing Sheet with IndexedDB persistence
  * - Multiple independent pools with tabs
  * - Add/remove/rename pools
- * - Each pool has its own fencers and bout results
- * - All data stored in React state (no localStorage)
+ * - Each pool has its own fencers and bout results, kept with the fencers
+ *   when they are added, removed or reordered
+ * - Every change autosaved to IndexedDB and restored on load
+ * - Named snapshots and JSON file export/import
+ * - Undo/redo of pool changes and an append-only audit log of every change
+ * - Live sync between devices through a local relay, with conflict flags
+ * - FIE XML (FencingTime / Ophardt) registration import and results export
+ * - Withdrawal / exclusion statuses that annul a fencer's pool bouts
+ * - Cards, penalty touches and bout details with a discipline report
+ * - Handicaps filled in from fencers' grades and a club handicap table
+ * - Official bout order with current / on-deck / in-the-hole list
+ * - Full-screen Fence mode with bout clock for live scoring
+ * - Event roster with serpentine pool draw that keeps clubmates apart
+ * - Ranking profiles per pool and barrages for ties on a medal or the cut
+ * - Team events: three fencers plus a substitute, nine-leg relays to 45
+ * - Overall seeding across pools with a promotion cut
+ * - Direct elimination tableau seeded from the pool round
+ * - Several events per tournament, each with its own roster, pool rounds and DE
+ * - Read-only hall display in its own tab (see Display.jsx)
  */
 
 // -------- Helpers --------
-function makeEmptyPairData() {
-  return [
-    { a: "", b: "", ha: 0, hb: 0 },
-    { a: "", b: "", ha: 0, hb: 0 },
-    { a: "", b: "", ha: 0, hb: 0 },
-    { a: "", b: "", ha: 0, hb: 0 },
-  ];
-}
+const DEFAULT_HANDICAPS = { enabled: false, table: DEFAULT_HANDICAP_TABLE };
+const MAX_UNDO = 100;
 
-function safeInt(v) {
-  if (v === "" || v === null || v === undefined) return 0;
-  const n = Number(v);
-  return Number.isFinite(n) ? Math.max(0, Math.floor(n)) : 0;
-}
+// Print menu: the screen as it is, or an official sheet for this pool or all pools
+const PRINT_OPTIONS = {
+  "results:pool": "Results sheet — this pool",
+  "results:all": "Results sheets — all pools",
+  "blank:pool": "Blank pool sheet — this pool",
+  "blank:all": "Blank pool sheets — all pools",
+  "slips:pool": "Bout slips — this pool",
+  "slips:all": "Bout slips — all pools",
+  screen: "This screen",
+};
 
-function effectiveScore(base, handicap) {
-  return safeInt(base) + safeInt(handicap);
-}
-
-function calcPairStats(bouts) {
-  let vA = 0, vB = 0, hsA = 0, hsB = 0;
-  bouts.forEach((bt) => {
-    const sa = effectiveScore(bt.a, bt.ha);
-    const sb = effectiveScore(bt.b, bt.hb);
-    if (sa === 0 && sb === 0 && bt.a === "" && bt.b === "") return;
-    hsA += sa;
-    hsB += sb;
-    if (sa > sb) vA += 1;
-    else if (sb > sa) vB += 1;
-  });
-  return { vA, vB, hsA, hsB };
+// Pool tab badge: bouts done out of bouts to fence, or a lock once finalized
+function progressText(pool) {
+  if (pool.finalized) return "🔒";
+  const { done, total } = poolProgress(pool);
+  return `${done}/${total}`;
 }
 
 function downloadCSV(rows, filename) {
-  const esc = (val) => `"${String(val ?? "").replace(/"/g, '""')}"`;
-  const csv = rows.map((r) => r.map(esc).join(",")).join("\r\n");
-  const blob = new Blob([csv], { type: "text/csv;charset=utf-8;" });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement("a");
-  a.href = url;
-  a.download = filename;
-  document.body.appendChild(a);
-  a.click();
-  document.body.removeChild(a);
-  URL.revokeObjectURL(url);
-}
-
-function createEmptyPool(name, id) {
-  return {
-    id,
-    name,
-    date: new Date().toISOString().slice(0, 10),
-    size: 6,
-    boutsPer: 2,
-    names: Array.from({ length: 10 }, (_, i) => `F${i + 1}`),
-    pairs: Array.from({ length: 10 }, (_, i) =>
-      Array.from({ length: 10 }, (_, j) => (i < j ? makeEmptyPairData() : null))
-    ),
-  };
+  downloadFile(csvText(rows), filename, "text/csv;charset=utf-8;");
 }
 
 // -------- Main Component --------
 export default function App() {
+  const [tournamentName, setTournamentName] = useState("");
+  const [events, setEvents] = useState(() => [createEvent(1, { name: "Event 1", handicaps: DEFAULT_HANDICAPS })]);
+  const [activeEventId, setActiveEventId] = useState(1);
+  const [nextEventId, setNextEventId] = useState(2);
+  const [round, setRound] = useState(0);
   const [pools, setPools] = useState([createEmptyPool("Pool 1", 1)]);
   const [activePoolId, setActivePoolId] = useState(1);
   const [nextPoolId, setNextPoolId] = useState(2);
   const [editing, setEditing] = useState(null);
+  const [hydrated, setHydrated] = useState(false);
+  const [saveStatus, setSaveStatus] = useState("");
+  const [snapshots, setSnapshots] = useState([]);
+  const [showSnapshots, setShowSnapshots] = useState(false);
+  const [view, setView] = useState("grid");
+  const [quickEntry, setQuickEntry] = useState(false);
+  const [stage, setStage] = useState("pools");
+  const [promotion, setPromotion] = useState(DEFAULT_PROMOTION);
+  const [handicaps, setHandicaps] = useState(DEFAULT_HANDICAPS);
+  const [showHandicaps, setShowHandicaps] = useState(false);
+  // { kind, poolIds } while an official sheet is being printed
+  const [printJob, setPrintJob] = useState(null);
+  const [barrages, setBarrages] = useState([]);
+  const [eventType, setEventType] = useState("individual");
+  const [editingBarrage, setEditingBarrage] = useState(null);
+  const [bracket, setBracket] = useState(null);
+  const [editingMatch, setEditingMatch] = useState(null);
+  const [fencing, setFencing] = useState(null);
+  const [roster, setRoster] = useState([]);
+  const [draw, setDraw] = useState(null);
+  const [audit, setAudit] = useState([]);
+  const [scorer, setScorer] = useState(loadScorer);
+  const [auditAllPools, setAuditAllPools] = useState(false);
+  const [undoStack, setUndoStack] = useState({ past: [], future: [] });
+  const [syncSettings, setSyncSettings] = useState(loadSyncSettings);
+  const [syncMeta, setSyncMeta] = useState(makeSyncMeta);
+  const [syncStatus, setSyncStatus] = useState("");
+  const [syncInbox, setSyncInbox] = useState([]);
+  const [conflicts, setConflicts] = useState([]);
+  const [showSync, setShowSync] = useState(false);
+  const saveTimer = useRef(null);
+  const lastPools = useRef(pools);
+  const poolsAction = useRef("edit");
+  const lastChange = useRef({ key: "", at: 0 });
+  const syncMetaRef = useRef(syncMeta);
+  const syncClient = useRef(null);
+  const syncAuthor = useRef("");
+  const importInput = useRef(null);
+  const xmlInput = useRef(null);
 
   const activePool = pools.find(p => p.id === activePoolId) || pools[0];
+  const locked = !!activePool.finalized;
+  const activeEvent = events.find((e) => e.id === activeEventId) ?? events[0];
+  const lastRound = activeEvent.rounds.length - 1;
 
   // -------- Pool Management --------
+  const makePool = (name, id) => ({
+    ...(eventType === "team" ? createTeamPool(name, id) : { ...createEmptyPool(name, id), handicap: handicaps }),
+    date: activeEvent.date || new Date().toISOString().slice(0, 10),
+  });
+
   const addPool = () => {
-    const newPool = createEmptyPool(`Pool ${nextPoolId}`, nextPoolId);
+    const newPool = makePool(`Pool ${nextPoolId}`, nextPoolId);
     setPools([...pools, newPool]);
     setActivePoolId(nextPoolId);
+    setStage("pools");
     setNextPoolId(nextPoolId + 1);
   };
 
@@ -91,160 +205,963 @@ export default function App() {
     if (pools.length === 1) return; // Keep at least one pool
     const newPools = pools.filter(p => p.id !== id);
     setPools(newPools);
+    setBarrages(barrages.filter((b) => b.scope !== `pool:${id}`));
     if (activePoolId === id) {
       setActivePoolId(newPools[0].id);
     }
   };
 
   const renamePool = (id, newName) => {
-    setPools(pools.map(p => p.id === id ? { ...p, name: newName } : p));
+    setPools(pools.map(p => p.id === id && !p.finalized ? { ...p, name: newName } : p));
   };
 
+  // Functional update so several field updates in one event don't overwrite each other.
+  // A finalized pool is left as it is until it is unlocked.
   const updatePool = (updates) => {
-    setPools(pools.map(p => p.id === activePoolId ? { ...p, ...updates } : p));
+    setPools((prev) => prev.map(p => p.id === activePoolId && !p.finalized ? { ...p, ...updates } : p));
+  };
+
+  // Same, for changes that need the pool's latest version
+  const updateActivePool = (fn) => {
+    setPools((prev) => prev.map(p => p.id === activePoolId && !p.finalized ? fn(p) : p));
+  };
+
+  const finalizePool = () => {
+    setPools((prev) => prev.map(p => p.id === activePoolId && poolIssues(p).length === 0 ? { ...p, finalized: true } : p));
+  };
+
+  const unlockPool = () => {
+    if (!confirm(`Unlock "${activePool.name}"? Its results can be edited again and it must be finalized afresh.`)) return;
+    setPools((prev) => prev.map(p => p.id === activePoolId ? { ...p, finalized: false } : p));
   };
 
   const clearPoolData = () => {
-    updatePool({
-      date: new Date().toISOString().slice(0, 10),
-      size: 6,
-      boutsPer: 2,
-      names: Array.from({ length: 10 }, (_, i) => `F${i + 1}`),
-      pairs: Array.from({ length: 10 }, (_, i) =>
-        Array.from({ length: 10 }, (_, j) => (i < j ? makeEmptyPairData() : null))
-      ),
-    });
+    updateActivePool((p) => (p.team ? createTeamPool(p.name, p.id) : { ...createEmptyPool(p.name, p.id), handicap: p.handicap }));
   };
 
-  // -------- Current Pool Data --------
-  const N = Math.min(10, Math.max(2, activePool.size));
-  const B = Math.min(4, Math.max(1, activePool.boutsPer));
-  const visibleNames = activePool.names.slice(0, N);
+  // Individual and team events keep different pools, so switching starts afresh
+  const changeEventType = (type) => {
+    if (!confirm(`Switch to ${type === "team" ? "a team relay" : "an individual"} event? This replaces all pools, barrages and the DE tableau.`)) return;
+    const pool = type === "team" ? createTeamPool("Pool 1", 1) : { ...createEmptyPool("Pool 1", 1), handicap: handicaps };
+    setEventType(type);
+    setPools([pool]);
+    setActivePoolId(1);
+    setNextPoolId(2);
+    setBarrages([]);
+    setBracket(null);
+    setStage("pools");
+  };
 
-  // -------- Stats Computation --------
-  const standings = useMemo(() => {
-    const res = Array.from({ length: N }, (_, idx) => ({
-      idx,
-      name: visibleNames[idx],
-      V: 0,
-      HS: 0,
-      HR: 0,
-      IND: 0,
-    }));
-
-    for (let i = 0; i < N; i++) {
-      for (let j = i + 1; j < N; j++) {
-        const stats = calcPairStats(activePool.pairs[i][j].slice(0, B));
-        res[i].V += stats.vA;
-        res[j].V += stats.vB;
-        res[i].HS += stats.hsA;
-        res[i].HR += stats.hsB;
-        res[j].HS += stats.hsB;
-        res[j].HR += stats.hsA;
-      }
+  // -------- Handicaps --------
+  // Re-fill the handicaps of unfenced bouts after grades, fencers or bouts change
+  const withHandicaps = (p) => (p.handicap?.enabled ? applyHandicaps(p) : p);
+
+  const setPoolHandicap = (enabled) => {
+    updateActivePool((p) => applyHandicaps({ ...p, handicap: { enabled, table: enabled ? handicaps.table : p.handicap?.table ?? handicaps.table } }));
+  };
+
+  const applyHandicapsToAll = () => {
+    if (!confirm(`Use "${handicaps.table.name}" in all ${pools.length} pool(s)? Handicaps of bouts not yet fenced are replaced; finalized pools are left as they are.`)) return;
+    setPools((prev) => prev.map((p) => (p.finalized ? p : applyHandicaps({ ...p, handicap: { enabled: true, table: handicaps.table } }))));
+  };
+
+  // -------- Undo / Audit Log --------
+  // Every change to the pools is diffed against the previous version: the old
+  // pools go on the undo stack and each changed field into the audit log
+  useEffect(() => {
+    const prev = lastPools.current;
+    const action = poolsAction.current;
+    lastPools.current = pools;
+    poolsAction.current = "edit";
+    if (prev === pools || action === "load") return;
+    if (action === "sync") {
+      // Undo restores whole versions of the pools, which would revert other devices' edits
+      setUndoStack({ past: [], future: [] });
+    } else if (syncSettings.enabled) {
+      const stamped = stampChanges(syncMetaRef.current, poolChanges(prev, pools), { device: syncSettings.device, who: scorer });
+      // Ops for the relay are kept, and saved, until it echoes them back
+      syncMetaRef.current = syncSettings.url.trim() ? queueOps(stamped.meta, stamped.ops) : stamped.meta;
+      setSyncMeta(syncMetaRef.current);
+      syncClient.current?.send(stamped.ops);
     }
+    const changes = diffPools(prev, pools);
+    if (changes.length === 0) return;
+    const now = Date.now();
+    const key = changeKey(changes);
+    // Quick repeats of the same edit share one undo step; the log keeps them all
+    const repeat = action === "edit" && key === lastChange.current.key && now - lastChange.current.at < COALESCE_MS;
+    lastChange.current = { key: action === "edit" ? key : "", at: now };
+    if (action === "edit" && !repeat) {
+      setUndoStack((s) => ({ past: [...s.past, prev].slice(-MAX_UNDO), future: [] }));
+    }
+    const who = action === "sync" ? syncAuthor.current : scorer;
+    setAudit((log) => appendAudit(log, changes, { who, at: new Date(now).toISOString(), action }));
+  }, [pools, scorer, syncSettings]);
 
-    res.forEach((r) => (r.IND = r.HS - r.HR));
+  const restorePools = (target, action) => {
+    poolsAction.current = action;
+    setPools(target);
+    if (!target.some((p) => p.id === activePoolId)) setActivePoolId(target[0].id);
+  };
 
-    const sorted = [...res].sort((a, b) => {
-      if (b.V !== a.V) return b.V - a.V;
-      if (b.IND !== a.IND) return b.IND - a.IND;
-      if (b.HS !== a.HS) return b.HS - a.HS;
-      return a.idx - b.idx;
+  const undo = () => {
+    const prev = undoStack.past[undoStack.past.length - 1];
+    if (!prev) return;
+    setUndoStack({ past: undoStack.past.slice(0, -1), future: [pools, ...undoStack.future] });
+    restorePools(prev, "undo");
+  };
+
+  const redo = () => {
+    const next = undoStack.future[0];
+    if (!next) return;
+    setUndoStack({ past: [...undoStack.past, pools], future: undoStack.future.slice(1) });
+    restorePools(next, "redo");
+  };
+
+  // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes; text fields keep their own undo.
+  // The listener is added once and reaches the current undo / redo through a ref.
+  const historyKeys = useRef({ undo, redo });
+  useEffect(() => {
+    historyKeys.current = { undo, redo };
+  });
+  useEffect(() => {
+    const onKey = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      if (e.target.closest?.("input, textarea, select")) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) historyKeys.current.undo();
+      else if ((key === "z" && e.shiftKey) || key === "y") historyKeys.current.redo();
+      else return;
+      e.preventDefault();
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, []);
+
+  // -------- Live Sync --------
+  useEffect(() => {
+    if (!hydrated || !syncSettings.enabled) {
+      setSyncStatus("");
+      return;
+    }
+    const client = connectSync({
+      url: syncSettings.url.trim(),
+      // Each event's pool round is synced on its own, so devices on other events are left alone
+      room: `${syncSettings.room.trim()}:${activeEventId}.${round + 1}`,
+      device: syncSettings.device,
+      getCursor: () => syncMetaRef.current,
+      getPending: () => syncMetaRef.current.pending ?? [],
+      onOps: (ops, cursor, mine) => setSyncInbox((q) => [...q, { ops, cursor, mine }]),
+      onStatus: setSyncStatus,
     });
+    syncClient.current = client;
+    return () => {
+      client.close();
+      syncClient.current = null;
+    };
+  }, [hydrated, syncSettings, activeEventId, round]);
 
-    const places = new Map();
-    let place = 1;
-    sorted.forEach((r, k) => {
-      if (k === 0) {
-        places.set(r.idx, place);
-      } else {
-        const prev = sorted[k - 1];
-        const equal = r.V === prev.V && r.IND === prev.IND && r.HS === prev.HS;
-        if (!equal) place = k + 1;
-        places.set(r.idx, place);
-      }
+  // Merge operations from other devices into the pools
+  useEffect(() => {
+    if (syncInbox.length === 0) return;
+    let nextPools = pools;
+    let meta = syncMetaRef.current;
+    const found = [];
+    const authors = new Set();
+    syncInbox.forEach(({ ops, cursor, mine }) => {
+      meta = ackOps(meta, mine);
+      ops.forEach((op) => {
+        const result = receiveOp(nextPools, meta, op);
+        if (result.pools !== nextPools) authors.add(op.who || "another device");
+        if (result.conflict) found.push(result.conflict);
+        nextPools = result.pools;
+        meta = result.meta;
+      });
+      if (cursor) meta = { ...meta, seq: cursor.seq, epoch: cursor.epoch };
     });
+    setSyncInbox([]);
+    syncMetaRef.current = meta;
+    setSyncMeta(meta);
+    if (found.length > 0) {
+      setConflicts((list) => [...list.filter((c) => !found.some((f) => f.key === c.key)), ...found]);
+    }
+    if (nextPools !== pools) {
+      poolsAction.current = "sync";
+      syncAuthor.current = [...authors].join(", ");
+      setPools(nextPools);
+      if (!nextPools.some((p) => p.id === activePoolId)) setActivePoolId(nextPools[0].id);
+      setNextPoolId((n) => Math.max(n, ...nextPools.map((p) => p.id + 1)));
+    }
+  }, [syncInbox, pools, activePoolId]);
+
+  const updateSyncSettings = (settings) => {
+    setSyncSettings(settings);
+    saveSyncSettings(settings);
+  };
+
+  const publishTournament = () => {
+    if (!confirm(`Publish this tournament to room "${syncSettings.room}"? Every device in the room will switch to these pools.`)) return;
+    const { op, meta } = stampPublish(syncMetaRef.current, pools, { device: syncSettings.device, who: scorer });
+    syncMetaRef.current = syncSettings.url.trim() ? queueOps(meta, [op]) : meta;
+    setSyncMeta(syncMetaRef.current);
+    setConflicts([]);
+    syncClient.current?.send([op]);
+  };
+
+  // Re-applies this device's version of a conflicting bout as a new edit, which wins everywhere
+  const keepMine = (conflict) => {
+    setPools((prev) => prev.map((p) =>
+      p.id === conflict.poolId ? withBout(p, conflict.x, conflict.y, conflict.k, conflict.mine) : p
+    ));
+    dismissConflict(conflict);
+  };
+
+  const dismissConflict = (conflict) => {
+    setConflicts((list) => list.filter((c) => c.key !== conflict.key));
+  };
+
+  const updateScorer = (name) => {
+    setScorer(name);
+    saveScorer(name);
+  };
+
+  const exportAuditCSV = (entries) => {
+    const date = new Date().toISOString().slice(0, 10);
+    downloadCSV([AUDIT_COLUMNS, ...auditRows(entries)], `audit_${date}.csv`);
+  };
+
+  // -------- Persistence --------
+  // The open event and round are edited in the flat shape below and stored
+  // back into the tournament's events as they change
+  const working = useMemo(
+    () => ({ eventType, pools, activePoolId, nextPoolId, promotion, handicaps, barrages, bracket, roster, draw, audit, sync: syncMeta }),
+    [eventType, pools, activePoolId, nextPoolId, promotion, handicaps, barrages, bracket, roster, draw, audit, syncMeta]
+  );
+
+  const tournament = useMemo(
+    () => ({
+      name: tournamentName,
+      activeEventId,
+      nextEventId,
+      events: events.map((e) => (e.id === activeEventId ? storeEvent({ ...e, round }, working) : e)),
+    }),
+    [tournamentName, activeEventId, nextEventId, events, round, working]
+  );
+
+  // Loads a tournament, opening its active event at pool round `r` (the event's
+  // open round by default); the pools and log are replaced wholesale, so undo
+  // starts afresh
+  const applyState = (state, r) => {
+    const event = state.events.find((e) => e.id === state.activeEventId);
+    const opened = openEvent(event, r ?? event.round);
+    setTournamentName(state.name);
+    setNextEventId(state.nextEventId);
+    setEvents(state.events);
+    setActiveEventId(event.id);
+    setRound(r ?? event.round);
+    poolsAction.current = "load";
+    setUndoStack({ past: [], future: [] });
+    setAudit(opened.audit ?? []);
+    syncMetaRef.current = opened.sync ?? makeSyncMeta();
+    setSyncMeta(syncMetaRef.current);
+    setConflicts([]);
+    setPools(opened.pools);
+    setActivePoolId(opened.activePoolId);
+    setNextPoolId(opened.nextPoolId);
+    setPromotion(opened.promotion ?? DEFAULT_PROMOTION);
+    setHandicaps(opened.handicaps ?? DEFAULT_HANDICAPS);
+    setBarrages(opened.barrages ?? []);
+    setEventType(opened.eventType ?? "individual");
+    setBracket(opened.bracket ?? null);
+    setRoster(opened.roster ?? []);
+    setDraw(opened.draw ?? null);
+    setEditing(null);
+    setEditingMatch(null);
+  };
 
-    return res.map((r) => ({ ...r, Place: places.get(r.idx) }));
-  }, [activePool.pairs, N, B, visibleNames]);
+  const openStoredEvent = (list, id, r) => applyState({ ...tournament, events: list, activeEventId: id }, r);
 
-  const sortedStandings = useMemo(() => {
-    return [...standings].sort((a, b) => {
-      if (b.V !== a.V) return b.V - a.V;
-      if (b.IND !== a.IND) return b.IND - a.IND;
-      if (b.HS !== a.HS) return b.HS - a.HS;
-      return a.idx - b.idx;
+  // -------- Events --------
+  const openEventById = (id) => {
+    if (id !== activeEventId) openStoredEvent(tournament.events, id);
+    setStage("pools");
+  };
+
+  const openRound = (r) => {
+    if (r === round) return;
+    openStoredEvent(tournament.events, activeEventId, r);
+    setStage("pools");
+  };
+
+  const addEvent = (fields) => {
+    const event = createEvent(nextEventId, { ...fields, handicaps: DEFAULT_HANDICAPS });
+    setNextEventId(nextEventId + 1);
+    openStoredEvent([...tournament.events, event], event.id);
+    setStage("pools");
+  };
+
+  const updateEvent = (id, fields) => {
+    setEvents((list) => list.map((e) => (e.id === id ? { ...e, ...fields } : e)));
+  };
+
+  const removeEvent = (id) => {
+    const event = tournament.events.find((e) => e.id === id);
+    if (!confirm(`Delete "${event.name}" with its roster, pools and DE? This cannot be undone.`)) return;
+    const rest = tournament.events.filter((e) => e.id !== id);
+    if (id === activeEventId) openStoredEvent(rest, rest[0].id);
+    else setEvents(rest);
+  };
+
+  // Later pool rounds are built from this one, so replacing its pools drops them
+  const dropLaterRounds = () => {
+    setEvents((list) => list.map((e) => (e.id === activeEventId ? { ...e, rounds: e.rounds.slice(0, round + 1) } : e)));
+  };
+
+  const startNextRound = () => {
+    if (eventType === "team") {
+      alert("A second pool round is only drawn for individual events.");
+      return;
+    }
+    if (pools.some((p) => poolIssues(p).length > 0)) {
+      alert("Every pool must be complete and pass its checks before the next round is drawn.");
+      return;
+    }
+    const promoted = overallSeeding.filter((r) => r.promoted).length;
+    const answer = prompt(`Number of pools for round ${round + 2} (${promoted} fencers promoted)`, String(Math.max(1, Math.round(promoted / 7))));
+    if (!answer) return;
+    let nextPools;
+    try {
+      nextPools = nextRoundPools(pools, overallSeeding, roster, Math.floor(Number(answer)), nextPoolId);
+    } catch (err) {
+      alert(err.message);
+      return;
+    }
+    if (bracket && !confirm("Drawing another pool round clears the DE tableau. Continue?")) return;
+    const done = storeEvent({ ...activeEvent, round }, { ...working, pools: pools.map((p) => ({ ...p, finalized: true })), bracket: null });
+    const rounds = [
+      ...done.rounds,
+      createRound(nextPools.map((p) => withHandicaps({ ...p, date: activeEvent.date || p.date, handicap: handicaps }))),
+    ];
+    openStoredEvent(tournament.events.map((e) => (e.id === activeEventId ? { ...done, rounds } : e)), activeEventId, rounds.length - 1);
+    setStage("pools");
+  };
+
+  const eventSummaries = tournament.events.map((e) => ({ ...e, entries: eventEntries(e), stage: eventStage(e) }));
+
+  const refreshSnapshots = () =>
+    listSnapshots().then(setSnapshots).catch(() => setSnapshots([]));
+
+  // Restore the autosaved tournament once on load
+  useEffect(() => {
+    let cancelled = false;
+    loadState()
+      .then((saved) => {
+        if (cancelled) return;
+        if (saved) {
+          applyState(saved.state);
+          setSaveStatus(`Restored autosave from ${new Date(saved.savedAt).toLocaleString()}`);
+        }
+        setHydrated(true);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        // Autosave stays off so the blank tournament can't overwrite the record:
+        // keep a copy of it first, then ask before saving over it
+        setSaveStatus(`Could not restore autosave: ${err.message} — autosave is off`);
+        keepAutosave(`Unrestored autosave ${new Date().toLocaleString()}`)
+          .then((kept) => {
+            refreshSnapshots();
+            const copy = kept ? "A copy has been kept as a snapshot. " : "";
+            if (confirm(`The autosaved tournament could not be restored:\n${err.message}\n\n${copy}Start autosaving this session over it?`)) {
+              setHydrated(true);
+            }
+          })
+          .catch((copyErr) => setSaveStatus(`Could not restore autosave: ${err.message} — autosave is off (${copyErr.message})`));
+      });
+    refreshSnapshots();
+    return () => { cancelled = true; };
+  }, []);
+
+  // Autosave every change (debounced so typing a name doesn't hammer the DB),
+  // posting it to any open hall display at the same time
+  useEffect(() => {
+    if (!hydrated) return;
+    clearTimeout(saveTimer.current);
+    saveTimer.current = setTimeout(() => {
+      publishDisplay(tournament);
+      saveState(tournament)
+        .then(() => setSaveStatus(`Autosaved ${new Date().toLocaleTimeString()}`))
+        .catch((err) => setSaveStatus(`Autosave failed: ${err.message}`));
+    }, 300);
+    return () => clearTimeout(saveTimer.current);
+  }, [tournament, hydrated]);
+
+  const takeSnapshot = () => {
+    const name = prompt("Snapshot name", `Snapshot ${new Date().toLocaleString()}`);
+    if (!name) return;
+    saveSnapshot(name, tournament)
+      .then(refreshSnapshots)
+      .catch((err) => alert(`Could not save snapshot: ${err.message}`));
+  };
+
+  const restoreSnapshot = (snap) => {
+    if (!confirm(`Restore "${snap.name}"? Current unsaved changes will be replaced.`)) return;
+    loadSnapshot(snap.id)
+      .then(applyState)
+      .catch((err) => alert(`Could not restore snapshot: ${err.message}`));
+  };
+
+  const removeSnapshot = (snap) => {
+    if (!confirm(`Delete snapshot "${snap.name}"?`)) return;
+    deleteSnapshot(snap.id)
+      .then(refreshSnapshots)
+      .catch((err) => alert(`Could not delete snapshot: ${err.message}`));
+  };
+
+  const exportJSON = () => {
+    const date = new Date().toISOString().slice(0, 10);
+    downloadJSON(serializeState(tournament), `tournament_${date}.json`);
+  };
+
+  const importJSON = (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    file.text()
+      .then((text) => {
+        const state = parseStateFile(text);
+        if (!confirm(`Import "${file.name}"? This replaces every event currently loaded.`)) return;
+        applyState(state);
+      })
+      .catch((err) => alert(`Import failed: ${err.message}`));
+  };
+
+  const exportXML = () => {
+    const date = new Date().toISOString().slice(0, 10);
+    const text = buildCompetitionXml({
+      title: activeEvent.name || "Pool results",
+      weapon: activeEvent.weapon,
+      round: round + 1,
+      pools: pools.map((p) => ({ ...p, standings: computePoolStandings(p, barrages) })),
+      roster,
+      overall: overallSeeding,
     });
-  }, [standings]);
+    downloadFile(text, `competition_${date}.xml`, "application/xml;charset=utf-8;");
+  };
+
+  const importXML = (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    file.text()
+      .then((text) => {
+        const parsed = parseCompetitionXml(text);
+        const what = parsed.pools ? `${parsed.roster.length} fencers in ${parsed.pools.length} pools` : `${parsed.roster.length} fencers`;
+        if (parsed.pools && round > 0) {
+          alert("Pools from a file go into the first pool round. Open round 1 to import them.");
+          return;
+        }
+        const later = parsed.pools && lastRound > 0 ? " Later pool rounds are removed." : "";
+        if (!confirm(`Import ${what} into "${activeEvent.name}" from "${file.name}"? This replaces the roster${parsed.pools ? " and all pools" : ""}.${later}`)) return;
+        setRoster(parsed.roster);
+        if (!parsed.pools) {
+          setDraw(null);
+          setStage("roster");
+          return;
+        }
+        dropLaterRounds();
+        const byId = new Map(parsed.roster.map((f) => [f.id, f]));
+        const newPools = parsed.pools.map((imp, p) => ({
+          ...createRosterPool(imp.name, p + 1, imp.fencerIds.map((id, i) => ({
+            name: byId.get(id).name,
+            rosterId: id,
+            status: imp.statuses[i],
+          }))),
+          boutsPer: imp.boutsPer,
+          bouts: imp.bouts,
+        }));
+        setPools(newPools);
+        setActivePoolId(1);
+        setNextPoolId(newPools.length + 1);
+        setDraw({ pools: parsed.pools.map((imp) => imp.fencerIds), locked: true });
+        setBracket(null);
+        setBarrages([]);
+        setEditing(null);
+        setStage("pools");
+      })
+      .catch((err) => alert(`XML import failed: ${err.message}`));
+  };
+
+  // -------- Current Pool Data --------
+  const fencers = activePool.fencers;
+  const N = fencers.length;
+  const B = activePool.boutsPer;
+  const T = activePool.maxTouches ?? DEFAULT_POOL_TOUCHES;
+  const visibleNames = fencers.map((f) => f.name);
+  const nameOf = (id) => fencers.find((f) => f.id === id)?.name ?? "";
+
+  // -------- Stats Computation --------
+  const standings = useMemo(() => computePoolStandings(activePool, barrages), [activePool, barrages]);
+
+  const sortedStandings = useMemo(() => sortStandings(standings), [standings]);
+
+  const overallSeeding = useMemo(
+    () => computeOverallSeeding(pools, promotion, barrages).map((r) => ({ ...r, ratio: formatRatio(r) })),
+    [pools, promotion, barrages]
+  );
 
   // -------- Handlers --------
-  const updateName = (i, val) => {
-    const newNames = [...activePool.names];
-    newNames[i] = val;
-    updatePool({ names: newNames });
+  const updateName = (id, val) => {
+    updateActivePool((p) => updatePoolFencer(p, id, { name: val }));
   };
 
-  const updateBout = (i, j, boutIndex, field, value) => {
-    if (i >= j) return;
-    const newPairs = activePool.pairs.map((row) =>
-      row.map((cell) => (Array.isArray(cell) ? [...cell] : cell))
+  const updateGrade = (id, val) => {
+    updateActivePool((p) => withHandicaps(updatePoolFencer(p, id, { grade: val })));
+  };
+
+  const updateStatus = (id, code) => {
+    const label = code ? FENCER_STATUSES[code] : "";
+    if (code && !confirm(`Mark ${nameOf(id)} as "${label}"? All of their bouts in this pool will be annulled.`)) return;
+    updateActivePool((p) => updatePoolFencer(p, id, { status: code }));
+  };
+
+  // A black card excludes the fencer from the pool; false when the scorer
+  // cancels, so the card is not recorded either
+  const excludeFencer = (id) => {
+    if (fencers.find((f) => f.id === id)?.status === "E") return true;
+    if (!confirm(`Black card: exclude ${nameOf(id)} from ${activePool.name}? All of their bouts will be annulled.`)) return false;
+    updateActivePool((p) => updatePoolFencer(p, id, { status: "E" }));
+    return true;
+  };
+
+  const addFencer = () => {
+    updateActivePool((p) =>
+      p.team ? addPoolFencer(p, `Team ${p.fencers.length + 1}`, { members: makeTeamMembers() }) : addPoolFencer(p)
     );
-    const arr = newPairs[i][j].map((b) => ({ ...b }));
-    arr[boutIndex][field] = value;
-    newPairs[i][j] = arr;
-    updatePool({ pairs: newPairs });
   };
 
-  const incDec = (i, j, k, field, delta) => {
-    const newPairs = activePool.pairs.map((row) =>
-      row.map((cell) =>
-        Array.isArray(cell) ? cell.map((b) => ({ ...b })) : cell
-      )
+  const updateMember = (id, m, val) => {
+    updateActivePool((p) => {
+      const team = p.fencers.find((f) => f.id === id);
+      return updatePoolFencer(p, id, { members: team.members.map((name, k) => (k === m ? val : name)) });
+    });
+  };
+
+  const removeFencer = (id) => {
+    if (N <= MIN_POOL_SIZE) return;
+    const results = fencerHasResults(activePool, id);
+    if (!confirm(`Remove ${nameOf(id)} from ${activePool.name}?${results ? " Their recorded bouts will be deleted." : ""}`)) return;
+    updateActivePool((p) => removePoolFencer(p, id));
+  };
+
+  const moveFencerInPool = (from, to) => {
+    if (to < 0 || to >= N) return;
+    updateActivePool((p) => movePoolFencer(p, from, to));
+  };
+
+  const isOut = (i) => !!standings[i]?.status;
+
+  // Bouts are addressed by fencer ids: x is side "a", y side "b"
+  const setPairBout = (x, y, k, bout) => {
+    updateActivePool((p) => withBout(p, x, y, k, bout));
+  };
+
+  const summaryFor = (x, y) => calcPairStats(pairBouts(activePool, x, y));
+
+  // Paper-sheet notation of row fencer i against column fencer j (any i !== j)
+  const cellNotation = (i, j) =>
+    pairBouts(activePool, fencers[i].id, fencers[j].id)
+      .map((bt) => boutNotation(bt, "a"))
+      .filter(Boolean)
+      .join(" ");
+
+  // Quick entry: sheet text typed into row fencer i's cell against fencer j.
+  // Returns an error message, leaving the bouts untouched, when it cannot be read.
+  const commitCell = (i, j, text) => {
+    const x = fencers[i].id;
+    const y = fencers[j].id;
+    const bouts = pairBouts(activePool, x, y);
+    const result = applyCellText(bouts, text, activePool.maxTouches);
+    if (result.error) return result.error;
+    updateActivePool((p) =>
+      result.bouts.reduce((q, bt, k) => (bt === bouts[k] ? q : withBout(q, x, y, k, bt)), p)
     );
-    const v = safeInt(newPairs[i][j][k][field]) + delta;
-    newPairs[i][j][k][field] = v < 0 ? 0 : v;
-    updatePool({ pairs: newPairs });
+    return null;
   };
 
-  const summaryFor = (i, j) => calcPairStats(activePool.pairs[i][j].slice(0, B));
+  // -------- Bout Order --------
+  const boutOrder = useMemo(() => generateBoutOrder(N, B), [N, B]);
+
+  // A bout is done once it has a decided result, or annulled by a fencer's status
+  const isBoutComplete = (bt) => {
+    if (isOut(bt.i) || isOut(bt.j)) return true;
+    const s = calcPairStats([getBout(activePool, fencers[bt.i].id, fencers[bt.j].id, bt.k)]);
+    return s.vA + s.vB > 0;
+  };
 
   const exportStandingsCSV = () => {
-    const header = ["#", "Name", "V", "HS", "HR", "IND"];
-    const rows = sortedStandings.map((r) => [
-      r.Place,
-      r.name,
-      r.V,
-      r.HS,
-      r.HR,
-      r.IND,
-    ]);
-    downloadCSV([header, ...rows], `${activePool.name}_standings_${activePool.date}.csv`);
+    downloadCSV([STANDINGS_COLUMNS, ...standingsRows(sortedStandings)], `${activePool.name}_standings_${activePool.date}.csv`);
+  };
+
+  // -------- Roster & Pool Draw --------
+  const rosterById = useMemo(() => new Map(roster.map((f) => [f.id, f])), [roster]);
+
+  const updateRoster = (next) => {
+    setRoster(next);
+    if (draw && !draw.locked) {
+      const ids = new Set(next.map((f) => f.id));
+      setDraw({ ...draw, pools: draw.pools.map((list) => list.filter((id) => ids.has(id))) });
+    }
+  };
+
+  const createDraw = (poolCount) => {
+    try {
+      setDraw({ pools: drawPools(roster, poolCount), locked: false });
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const moveFencer = (id, to) => {
+    const next = draw.pools.map((list) => list.filter((x) => x !== id));
+    next[to] = [...next[to], id];
+    setDraw({ ...draw, pools: next });
+  };
+
+  const lockDraw = () => {
+    if (eventType === "team") {
+      alert("The pool draw places individual fencers. Enter teams directly in the pool tabs for a team event.");
+      return;
+    }
+    if (round > 0) {
+      alert("The draw fills the first pool round. Open round 1 to lock it.");
+      return;
+    }
+    const later = lastRound > 0 ? " Later pool rounds are removed." : "";
+    if (!confirm(`Lock the draw? This replaces all ${pools.length} current pool(s) and their results.${later}`)) return;
+    dropLaterRounds();
+    const newPools = draw.pools.map((ids, p) => {
+      const entries = ids.map((id) => ({ name: rosterById.get(id).name, rosterId: id, grade: rosterById.get(id).rating }));
+      return applyHandicaps({ ...createRosterPool(`Pool ${p + 1}`, p + 1, entries), handicap: handicaps });
+    });
+    setPools(newPools);
+    setActivePoolId(1);
+    setNextPoolId(newPools.length + 1);
+    setDraw({ ...draw, locked: true });
+    setBarrages([]);
+    setStage("pools");
+  };
+
+  const unlockDraw = () => {
+    if (!confirm("Unlock the draw? Locking it again will rebuild the pools and clear their results.")) return;
+    setDraw({ ...draw, locked: false });
+  };
+
+  // Club of the fencer at position i in the active pool, when linked to the roster
+  const clubOf = (i) => rosterById.get(fencers[i].rosterId)?.club ?? "";
+
+  // -------- Direct Elimination --------
+  const qualified = overallSeeding.filter((r) => r.promoted);
+  const resolvedBracket = useMemo(() => (bracket ? resolveBracket(bracket) : null), [bracket]);
+
+  const generateBracket = () => {
+    if (round < lastRound) {
+      alert(`The tableau is seeded from the last pool round. Open round ${lastRound + 1} to generate it.`);
+      return;
+    }
+    const fenced = bracket && Object.keys(bracket.bouts).length > 0;
+    if (fenced && !confirm("Regenerate the tableau? All DE results will be lost.")) return;
+    if (eventType === "team") {
+      const teamOf = (r) => pools.find((p) => p.id === r.poolId).fencers.find((f) => f.id === r.id);
+      const entries = qualified.map((r) => ({ name: r.name, pool: r.poolName, members: teamOf(r).members }));
+      setBracket({ ...createBracket(entries), maxTouches: TEAM_TOUCHES });
+      return;
+    }
+    setBracket(createBracket(qualified.map((r) => ({ name: r.name, pool: r.poolName }))));
+  };
+
+  // `match` is `{ key, a, b }`; the result is stored with the seeds who fenced it
+  const setBracketBout = (match, bout) => {
+    setBracket(withMatchBout(bracket, match.key, match.a, match.b, bout));
+  };
+
+  // -------- Barrages --------
+  // Unsettled ties in `rows` (ranked, with `tie`) that `affects` a medal or the cut
+  const tieOffers = (rows, scope, affects, label) => {
+    const ties = new Map();
+    rows.forEach((r) => {
+      if (r.tie && affects(r) && !ties.has(r.tie.join())) ties.set(r.tie.join(), r);
+    });
+    return [...ties.values()]
+      .filter((r) => !findBarrage(barrages, scope, r.tie))
+      .map((r) => ({ scope, label: label(r), rows: rows.filter((x) => r.tie.includes(x.ref)) }));
+  };
+
+  // Ties are only final once every bout they depend on has been fenced
+  const medalOffers = !isPoolComplete(activePool) ? [] : tieOffers(
+    sortedStandings,
+    `pool:${activePool.id}`,
+    (r) => r.Place <= MEDAL_PLACES,
+    (r) => `Tie for place ${r.Place}`
+  );
+  const cutOffers = !pools.every(isPoolComplete) ? [] : tieOffers(overallSeeding, "cut", (r) => r.onCut, (r) => `Tie across the promotion cut at place ${r.Place}`);
+
+  const createTieBarrage = (offer) => {
+    const id = barrages.reduce((max, b) => Math.max(max, b.id), 0) + 1;
+    const name = offer.scope === "cut" ? "Barrage for the cut" : `${activePool.name} barrage`;
+    setBarrages([...barrages, createBarrage(id, offer.scope, name, offer.rows.map((r) => ({ ref: r.ref, name: r.name })))]);
+  };
+
+  const setBarrageBout = (id, x, y, bout) => {
+    setBarrages((prev) => prev.map((b) => (b.id === id ? withBout(b, x, y, 0, bout) : b)));
+  };
+
+  const removeBarrage = (barrage) => {
+    if (Object.keys(barrage.bouts).length > 0 && !confirm(`Remove ${barrage.name} and its results?`)) return;
+    setBarrages(barrages.filter((b) => b.id !== barrage.id));
+  };
+
+  const barrageOf = (id) => barrages.find((b) => b.id === id);
+  const barrageName = (b, id) => b.fencers.find((f) => f.id === id).name;
+
+  // -------- Discipline --------
+  const disciplineEvents = useMemo(
+    () => collectDiscipline(pools, resolvedBracket),
+    [pools, resolvedBracket]
+  );
+
+  const exportDisciplineCSV = () => {
+    const header = ["Fencer", "Sanction", "Opponent", "Pool / round", "Bout", "Referee", "Time"];
+    const rows = disciplineEvents.map((e) => [e.fencer, e.kind, e.opponent, e.context, e.bout, e.referee, e.at]);
+    const date = new Date().toISOString().slice(0, 10);
+    downloadCSV([header, ...rows], `discipline_${date}.csv`);
+  };
+
+  // Touches scored and received by every team member across pool and DE matches
+  const exportTeamFencersCSV = () => {
+    const stats = new Map();
+    const add = (team, bt, side) => {
+      const key = `${team.name}\u0000${team.members.join("\u0000")}`;
+      if (!stats.has(key)) stats.set(key, { team, members: Array.from({ length: TEAM_SIZE + 1 }, () => ({ matches: 0, legs: 0, ts: 0, tr: 0 })) });
+      relayMemberStats(bt, side).forEach((s, m) => {
+        const t = stats.get(key).members[m];
+        t.matches += s.legs > 0 ? 1 : 0;
+        t.legs += s.legs;
+        t.ts += s.ts;
+        t.tr += s.tr;
+      });
+    };
+    pools.filter((p) => p.team).forEach((p) => {
+      poolPairs(p).forEach(({ i, j, x, y }) => {
+        const bt = getBout(p, x, y, 0);
+        add(p.fencers[i], bt, "a");
+        add(p.fencers[j], bt, "b");
+      });
+    });
+    if (resolvedBracket) {
+      [...resolvedBracket.rounds.flat(), resolvedBracket.third].filter(Boolean).forEach((m) => {
+        const bt = bracket.bouts[m.key];
+        if (!bt || m.stale || !m.a || !m.b) return;
+        add(m.a, bt, "a");
+        add(m.b, bt, "b");
+      });
+    }
+    const header = ["Team", "Fencer", "Role", "Matches", "Legs", "TS", "TR", "IND"];
+    const rows = [...stats.values()].flatMap(({ team, members }) =>
+      members.map((t, m) => [team.name, memberName(team, m), m === SUBSTITUTE ? "Substitute" : "Starter", t.matches, t.legs, t.ts, t.tr, t.ts - t.tr])
+    );
+    const date = new Date().toISOString().slice(0, 10);
+    downloadCSV([header, ...rows], `team_fencers_${date}.csv`);
+  };
+
+  // -------- Printing --------
+  const printSheets = (option) => {
+    if (option === "screen") {
+      window.print();
+      return;
+    }
+    const [kind, scope] = option.split(":");
+    setPrintJob({ kind, poolIds: scope === "all" ? pools.map((p) => p.id) : [activePoolId] });
+  };
+
+  // Print once the sheets are rendered, and drop them when the dialog closes
+  useEffect(() => {
+    if (!printJob) return;
+    const done = () => setPrintJob(null);
+    window.addEventListener("afterprint", done);
+    window.print();
+    return () => window.removeEventListener("afterprint", done);
+  }, [printJob]);
+
+  const printSubtitle = [
+    activeEvent.name,
+    WEAPONS[activeEvent.weapon],
+    activeEvent.category,
+    lastRound > 0 ? `Round ${round + 1}` : "",
+  ].filter(Boolean).join(" • ");
+
+  const exportOverallCSV = () => {
+    const date = new Date().toISOString().slice(0, 10);
+    downloadCSV([OVERALL_COLUMNS, ...overallRows(overallSeeding)], `overall_seeding_${date}.csv`);
   };
 
   return (
     <div className="min-h-screen bg-gray-50 text-gray-900">
-      <div className="max-w-6xl mx-auto px-4 sm:px-6 py-6">
+      <div className={`max-w-6xl mx-auto px-4 sm:px-6 py-6 ${printJob ? "print:hidden" : ""}`}>
         {/* Header */}
-        <header className="mb-5">
+        <header className={`mb-5 ${stage === "de" ? "print:hidden" : ""}`}>
           <h1 className="text-3xl font-bold tracking-tight">Digital Fencing Pool Sheet</h1>
-          <p className="text-sm text-gray-600 mt-1">Multiple pools • Up to 10 fencers • 1–4 bouts per pairing</p>
+          <p className="text-sm text-gray-600 mt-1">Multiple pools • Any number of fencers • 1–6 bouts per pairing • Ranked by V/M</p>
+          <div className="mt-3 flex flex-wrap items-center gap-2">
+            <button onClick={exportJSON} className="px-3 py-2 rounded-xl border bg-white hover:bg-gray-50 text-sm shadow-sm">
+              Export JSON
+            </button>
+            <button onClick={() => importInput.current.click()} className="px-3 py-2 rounded-xl border bg-white hover:bg-gray-50 text-sm shadow-sm">
+              Import JSON
+            </button>
+            <input ref={importInput} type="file" accept="application/json,.json" onChange={importJSON} className="hidden" />
+            <button onClick={exportXML} className="px-3 py-2 rounded-xl border bg-white hover:bg-gray-50 text-sm shadow-sm">
+              Export FIE XML
+            </button>
+            <button onClick={() => xmlInput.current.click()} className="px-3 py-2 rounded-xl border bg-white hover:bg-gray-50 text-sm shadow-sm">
+              Import FIE XML
+            </button>
+            <input ref={xmlInput} type="file" accept="application/xml,text/xml,.xml" onChange={importXML} className="hidden" />
+            <button onClick={takeSnapshot} className="px-3 py-2 rounded-xl border bg-white hover:bg-gray-50 text-sm shadow-sm">
+              Save snapshot
+            </button>
+            <button onClick={() => setShowSnapshots(!showSnapshots)} className="px-3 py-2 rounded-xl border bg-white hover:bg-gray-50 text-sm shadow-sm">
+              Snapshots ({snapshots.length})
+            </button>
+            <span className="h-5 w-px bg-gray-300" />
+            <button
+              onClick={undo}
+              disabled={undoStack.past.length === 0}
+              className="px-3 py-2 rounded-xl border bg-white hover:bg-gray-50 text-sm shadow-sm disabled:opacity-40"
+              title="Undo the last pool change (Ctrl+Z)"
+            >
+              Undo
+            </button>
+            <button
+              onClick={redo}
+              disabled={undoStack.future.length === 0}
+              className="px-3 py-2 rounded-xl border bg-white hover:bg-gray-50 text-sm shadow-sm disabled:opacity-40"
+              title="Redo (Ctrl+Shift+Z)"
+            >
+              Redo
+            </button>
+            <input
+              value={scorer}
+              onChange={(e) => updateScorer(e.target.value)}
+              placeholder="Scorer"
+              className="w-32 border rounded-xl px-3 py-2 text-sm bg-white shadow-sm"
+              title="Your name, recorded against every change in the audit log"
+            />
+            <button onClick={() => setShowSync(!showSync)} className="px-3 py-2 rounded-xl border bg-white hover:bg-gray-50 text-sm shadow-sm">
+              Live sync{syncSettings.enabled ? ` • ${syncStatus}` : ""}
+              {conflicts.length > 0 && <span className="ml-1 text-amber-700">({conflicts.length} conflict{conflicts.length > 1 ? "s" : ""})</span>}
+            </button>
+            <button
+              onClick={() => window.open(DISPLAY_HASH, "fencingpool-display")}
+              className="px-3 py-2 rounded-xl border bg-white hover:bg-gray-50 text-sm shadow-sm"
+              title="Open a read-only results display for a hall screen or projector in a new tab"
+            >
+              Hall display
+            </button>
+            <span className="text-xs text-gray-500">{saveStatus}</span>
+          </div>
+          {showSync && (
+            <SyncPanel
+              settings={syncSettings}
+              status={syncStatus}
+              conflicts={conflicts}
+              onChange={updateSyncSettings}
+              onPublish={publishTournament}
+              onKeepMine={keepMine}
+              onDismiss={dismissConflict}
+            />
+          )}
+          {showSnapshots && (
+            <div className="mt-3 border rounded-2xl bg-white shadow-sm divide-y print:hidden">
+              {snapshots.length === 0 && (
+                <div className="p-3 text-sm text-gray-500">No snapshots yet.</div>
+              )}
+              {snapshots.map((snap) => (
+                <div key={snap.id} className="p-3 flex items-center gap-3 text-sm">
+                  <span className="font-medium">{snap.name}</span>
+                  <span className="text-xs text-gray-500">{new Date(snap.createdAt).toLocaleString()}</span>
+                  <button onClick={() => restoreSnapshot(snap)} className="ml-auto text-xs px-2 py-1 rounded bg-gray-100 hover:bg-gray-200">
+                    Restore
+                  </button>
+                  <button onClick={() => removeSnapshot(snap)} className="text-xs px-2 py-1 rounded text-red-600 hover:bg-red-50">
+                    Delete
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
         </header>
 
+        {/* Event and round */}
+        <div className="mb-3 flex flex-wrap items-center gap-2 print:hidden">
+          <button
+            onClick={() => setStage("events")}
+            className={`px-4 py-2 rounded-xl text-sm font-medium transition border shadow-sm ${
+              stage === "events" ? 'bg-black text-white' : 'bg-white hover:bg-gray-50'
+            }`}
+          >
+            Tournament
+          </button>
+          <select
+            value={activeEventId}
+            onChange={(e) => openEventById(Number(e.target.value))}
+            className="border rounded-xl px-3 py-2 text-sm bg-white shadow-sm font-medium"
+            title="Event being run"
+          >
+            {tournament.events.map((e) => (
+              <option key={e.id} value={e.id}>{e.name || `Event ${e.id}`}</option>
+            ))}
+          </select>
+          {lastRound > 0 && activeEvent.rounds.map((_, r) => (
+            <button
+              key={r}
+              onClick={() => openRound(r)}
+              className={`px-3 py-2 rounded-xl text-sm border shadow-sm ${r === round ? "bg-black text-white" : "bg-white hover:bg-gray-50"}`}
+            >
+              Round {r + 1}
+            </button>
+          ))}
+        </div>
+
         {/* Pool Tabs */}
-        <div className="mb-6">
+        <div className={`mb-6 ${stage === "de" || stage === "events" ? "print:hidden" : ""}`}>
           <div className="flex items-center gap-2 overflow-x-auto pb-2">
+            <button
+              onClick={() => setStage("roster")}
+              className={`px-4 py-2 rounded-xl text-sm font-medium transition border shadow-sm ${
+                stage === "roster" ? 'bg-black text-white' : 'bg-white hover:bg-gray-50'
+              }`}
+            >
+              Roster
+            </button>
+            <span className="h-5 w-px bg-gray-300" />
             {pools.map((pool) => (
               <button
                 key={pool.id}
-                onClick={() => setActivePoolId(pool.id)}
+                onClick={() => {
+                  setActivePoolId(pool.id);
+                  setStage("pools");
+                }}
                 className={`px-4 py-2 rounded-xl text-sm font-medium transition border shadow-sm ${
-                  activePoolId === pool.id
+                  stage === "pools" && activePoolId === pool.id
                     ? 'bg-black text-white'
                     : 'bg-white hover:bg-gray-50'
                 }`}
               >
                 {pool.name}
+                <span className="ml-2 text-xs font-normal tabular-nums opacity-70">
+                  {progressText(pool)}
+                </span>
               </button>
             ))}
             <button
@@ -253,240 +1170,619 @@ export default function App() {
             >
               + Add Pool
             </button>
-          </div>
-
-          {/* Pool Settings */}
-          <div className="mt-4 flex flex-wrap items-center gap-3">
-            <input
-              type="text"
-              value={activePool.name}
-              onChange={(e) => renamePool(activePoolId, e.target.value)}
-              className="border rounded-xl px-3 py-2 text-sm bg-white shadow-sm font-medium"
-              placeholder="Pool name"
-            />
-            <span className="h-5 w-px bg-gray-300" />
-            <label className="text-sm text-gray-700">Date</label>
-            <input
-              type="date"
-              value={activePool.date}
-              onChange={(e) => updatePool({ date: e.target.value })}
-              className="border rounded-xl px-3 py-2 text-sm bg-white shadow-sm"
-            />
-            <span className="h-5 w-px bg-gray-300" />
-            <label className="text-sm text-gray-700">Pool size</label>
             <select
-              value={N}
-              onChange={(e) => updatePool({ size: Number(e.target.value) })}
-              className="border rounded-xl px-3 py-2 text-sm bg-white shadow-sm"
+              value={eventType}
+              onChange={(e) => changeEventType(e.target.value)}
+              disabled={lastRound > 0}
+              className="border rounded-xl px-3 py-2 text-sm bg-white shadow-sm disabled:opacity-50"
+              title="Individual pools, or team pools with relay matches"
             >
-              {Array.from({ length: 9 }, (_, k) => 2 + k).map((n) => (
-                <option key={n} value={n}>{n}</option>
-              ))}
+              <option value="individual">Individual event</option>
+              <option value="team">Team event</option>
             </select>
-            <label className="text-sm text-gray-700">Bouts per pairing</label>
-            <select
-              value={B}
-              onChange={(e) => updatePool({ boutsPer: Number(e.target.value) })}
-              className="border rounded-xl px-3 py-2 text-sm bg-white shadow-sm"
+            <button
+              onClick={() => setStage("overall")}
+              className={`ml-auto px-4 py-2 rounded-xl text-sm font-medium transition border shadow-sm whitespace-nowrap ${
+                stage === "overall" ? 'bg-black text-white' : 'bg-white hover:bg-gray-50'
+              }`}
             >
-              {[1, 2, 3, 4].map((n) => (
-                <option key={n} value={n}>{n}</option>
-              ))}
-            </select>
-            <button onClick={() => window.print()} className="ml-auto px-3 py-2 rounded-xl bg-black text-white text-sm shadow-sm">
-              Print / Save PDF
+              Overall results
             </button>
-            <button onClick={clearPoolData} className="px-3 py-2 rounded-xl border text-sm shadow-sm">
-              Clear pool data
+            <button
+              onClick={() => setStage("de")}
+              className={`px-4 py-2 rounded-xl text-sm font-medium transition border shadow-sm whitespace-nowrap ${
+                stage === "de" ? 'bg-black text-white' : 'bg-white hover:bg-gray-50'
+              }`}
+            >
+              DE tableau
+            </button>
+            <button
+              onClick={() => setStage("discipline")}
+              className={`px-4 py-2 rounded-xl text-sm font-medium transition border shadow-sm whitespace-nowrap ${
+                stage === "discipline" ? 'bg-black text-white' : 'bg-white hover:bg-gray-50'
+              }`}
+            >
+              Discipline
             </button>
-            {pools.length > 1 && (
-              <button 
-                onClick={() => {
-                  if (confirm(`Delete "${activePool.name}"? This cannot be undone.`)) {
-                    removePool(activePoolId);
-                  }
-                }}
-                className="px-3 py-2 rounded-xl border border-red-300 text-red-600 hover:bg-red-50 text-sm shadow-sm"
-              >
-                Delete pool
-              </button>
-            )}
           </div>
-        </div>
 
-        {/* Names editor */}
-        <div className="mb-4 grid grid-cols-1 sm:grid-cols-2 gap-2">
-          {Array.from({ length: N }).map((_, i) => (
-            <div key={i} className="flex items-center gap-2">
-              <span className="text-xs w-6 text-gray-500">{i + 1}.</span>
+          {/* Pool Settings */}
+          {stage === "pools" && (
+            <div className="mt-4 flex flex-wrap items-center gap-3">
+              <fieldset disabled={locked} className="contents">
               <input
-                value={activePool.names[i]}
-                onChange={(e) => updateName(i, e.target.value)}
-                className="flex-1 border rounded-xl px-3 py-2 text-sm bg-white shadow-sm"
-                placeholder={`Fencer ${i + 1} name`}
+                type="text"
+                value={activePool.name}
+                onChange={(e) => renamePool(activePoolId, e.target.value)}
+                className="border rounded-xl px-3 py-2 text-sm bg-white shadow-sm font-medium"
+                placeholder="Pool name"
               />
-            </div>
-          ))}
-        </div>
-
-        {/* Pool Grid */}
-        <div className="overflow-auto border rounded-2xl bg-white shadow-sm">
-          <table className="min-w-max w-full text-sm">
-            <thead>
-              <tr>
-                <th className="sticky left-0 z-30 bg-gray-100 p-3 text-left w-48 border-b">Name</th>
-                {Array.from({ length: N }).map((_, j) => (
-                  <th key={j} className="sticky top-0 z-20 bg-gray-100 p-3 text-center w-16 border-b border-l">{j + 1}</th>
-                ))}
-                {["V","HS","HR","IND","Place"].map((h) => (
-                  <th key={h} className="sticky top-0 z-20 bg-gray-100 p-3 text-center w-16 border-b border-l">{h}</th>
+              <span className="h-5 w-px bg-gray-300" />
+              <label className="text-sm text-gray-700">Date</label>
+              <input
+                type="date"
+                value={activePool.date}
+                onChange={(e) => updatePool({ date: e.target.value })}
+                className="border rounded-xl px-3 py-2 text-sm bg-white shadow-sm"
+              />
+              <span className="h-5 w-px bg-gray-300" />
+              <span className="text-sm text-gray-700">{N} {activePool.team ? "teams" : "fencers"}</span>
+              {activePool.team ? (
+                <span className="text-sm text-gray-700">Relay of nine legs to {TEAM_TOUCHES}</span>
+              ) : (
+                <>
+                  <label className="text-sm text-gray-700">Bouts per pairing</label>
+                  <select
+                    value={B}
+                    onChange={(e) => updateActivePool((p) => withHandicaps({ ...p, boutsPer: Number(e.target.value) }))}
+                    className="border rounded-xl px-3 py-2 text-sm bg-white shadow-sm"
+                  >
+                    {Array.from({ length: 6 }, (_, k) => 1 + k).map((n) => (
+                      <option key={n} value={n}>{n}</option>
+                    ))}
+                  </select>
+                  <label className="text-sm text-gray-700">Touches</label>
+                  <select
+                    value={T}
+                    onChange={(e) => updateActivePool((p) => withHandicaps({ ...p, maxTouches: Number(e.target.value) }))}
+                    className="border rounded-xl px-3 py-2 text-sm bg-white shadow-sm"
+                  >
+                    {Array.from({ length: 15 }, (_, k) => 1 + k).map((n) => (
+                      <option key={n} value={n}>{n}</option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={() => setShowHandicaps(!showHandicaps)}
+                    className="px-3 py-2 rounded-xl border bg-white hover:bg-gray-50 text-sm shadow-sm"
+                  >
+                    Handicaps{activePool.handicap?.enabled ? " • on" : ""}
+                  </button>
+                </>
+              )}
+              </fieldset>
+              <select
+                value=""
+                onChange={(e) => printSheets(e.target.value)}
+                className="ml-auto px-3 py-2 rounded-xl bg-black text-white text-sm shadow-sm"
+                title="Print or save as PDF"
+              >
+                <option value="" disabled>Print / Save PDF…</option>
+                {Object.entries(PRINT_OPTIONS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
                 ))}
-              </tr>
-            </thead>
-            <tbody>
-              {Array.from({ length: N }).map((_, i) => (
-                <tr key={i}>
-                  <td className="sticky left-0 z-10 bg-white p-3 font-medium whitespace-nowrap border-t">{activePool.names[i]}</td>
-                  {Array.from({ length: N }).map((_, j) => {
-                    if (i === j) {
-                      return (
-                        <td key={j} className="p-0 border-t border-l">
-                          <div className="h-12 bg-gray-100" />
-                        </td>
-                      );
-                    }
-                    if (i > j) {
-                      const stats = summaryFor(j, i);
-                      const label = stats.vA + stats.vB > 0 ? `${stats.vB} -- ${stats.vA}` : '';
-                      return (
-                        <td key={j} className="p-1 text-center align-middle border-t border-l">
-                          <span className="text-xs text-gray-400 tabular-nums">{label}</span>
-                        </td>
-                      );
+              </select>
+              <button onClick={clearPoolData} disabled={locked} className="px-3 py-2 rounded-xl border text-sm shadow-sm disabled:opacity-30">
+                Clear pool data
+              </button>
+              {pools.length > 1 && (
+                <button 
+                  onClick={() => {
+                    if (confirm(`Delete "${activePool.name}"? This cannot be undone.`)) {
+                      removePool(activePoolId);
                     }
-                    const pairSummary = summaryFor(i, j);
-                    return (
-                      <td key={j} className="p-1 border-t border-l">
-                        <button
-                          onClick={() => setEditing({ i, j })}
-                          className="w-full h-12 rounded-xl border bg-white hover:bg-gray-50 transition flex items-center justify-center gap-1"
-                          title="Edit bouts"
-                        >
-                          {pairSummary.vA + pairSummary.vB > 0 ? (
-                            <span className="text-sm text-gray-800 tabular-nums font-semibold">
-                              {pairSummary.vA} -- {pairSummary.vB}
-                            </span>
-                          ) : (
-                            <span className="text-xs text-gray-400">Add</span>
-                          )}
-                        </button>
-                      </td>
-                    );
-                  })}
-                  <td className="p-3 text-center font-semibold tabular-nums border-t border-l">{standings[i].V}</td>
-                  <td className="p-3 text-center tabular-nums border-t border-l">{standings[i].HS}</td>
-                  <td className="p-3 text-center tabular-nums border-t border-l">{standings[i].HR}</td>
-                  <td className="p-3 text-center tabular-nums border-t border-l">{standings[i].IND}</td>
-                  <td className="p-3 text-center font-semibold tabular-nums border-t border-l">{standings[i].Place}</td>
-                </tr>
-              ))}
-            </tbody>
-          </table>
+                  }}
+                  className="px-3 py-2 rounded-xl border border-red-300 text-red-600 hover:bg-red-50 text-sm shadow-sm"
+                >
+                  Delete pool
+                </button>
+              )}
+            </div>
+          )}
         </div>
 
-        {/* Standings Table */}
-        <section className="mt-6">
-          <div className="mb-2 flex items-center gap-3">
-            <h2 className="text-lg font-semibold">Standings</h2>
+        {stage === "events" && (
+          <TournamentDashboard
+            name={tournamentName}
+            events={eventSummaries}
+            activeEventId={activeEventId}
+            onNameChange={setTournamentName}
+            onAdd={addEvent}
+            onUpdate={updateEvent}
+            onOpen={openEventById}
+            onRemove={removeEvent}
+          />
+        )}
+
+        {stage === "roster" && (
+          <RosterPanel
+            roster={roster}
+            draw={draw}
+            onRosterChange={updateRoster}
+            onCreatePools={createDraw}
+            onMove={moveFencer}
+            onLock={lockDraw}
+            onUnlock={unlockDraw}
+          />
+        )}
+
+        {stage === "overall" && (
+          <OverallResults
+            rows={overallSeeding}
+            promotion={promotion}
+            onPromotionChange={setPromotion}
+            onExport={exportOverallCSV}
+          />
+        )}
+        {stage === "overall" && (
+          <BarragePanel
+            offers={cutOffers}
+            barrages={barrages.filter((b) => b.scope === "cut")}
+            onCreate={createTieBarrage}
+            onOpen={(b, x, y) => setEditingBarrage({ id: b.id, x, y })}
+            onRemove={removeBarrage}
+          />
+        )}
+        {stage === "overall" && eventType === "individual" && round === lastRound && (
+          <div className="mt-3 border rounded-2xl bg-white shadow-sm p-3 flex flex-wrap items-center gap-3 text-sm print:hidden">
+            <span>Promoted fencers can go on to another pool round before the direct elimination.</span>
             <button
-              onClick={exportStandingsCSV}
-              className="ml-auto px-3 py-2 rounded-xl bg-black text-white text-sm shadow-sm"
-              title="Download standings as CSV"
+              onClick={startNextRound}
+              disabled={!pools.every(isPoolComplete)}
+              className="ml-auto px-3 py-2 rounded-xl border bg-white hover:bg-gray-50 text-sm shadow-sm disabled:opacity-40"
+              title="Lock this round and draw the promoted fencers into new pools"
             >
-              Export CSV
+              Draw pool round {round + 2}
             </button>
           </div>
-          <div className="overflow-auto border rounded-2xl bg-white shadow-sm">
-            <table className="min-w-max w-full text-sm">
-              <thead>
-                <tr>
-                  {["#","Name","V","HS","HR","IND"].map((h, idx) => (
-                    <th key={h} className={`p-3 ${idx<2?"text-left":"text-center"} bg-gray-100 border-b ${idx>0?"border-l":""}`}>{h}</th>
-                  ))}
-                </tr>
-              </thead>
-              <tbody>
-                {sortedStandings.map((r) => (
-                  <tr key={r.idx}>
-                    <td className="p-3 border-t tabular-nums">{r.Place}</td>
-                    <td className="p-3 border-t border-l">{r.name}</td>
-                    <td className="p-3 text-center border-t border-l tabular-nums font-semibold">{r.V}</td>
-                    <td className="p-3 text-center border-t border-l tabular-nums">{r.HS}</td>
-                    <td className="p-3 text-center border-t border-l tabular-nums">{r.HR}</td>
-                    <td className="p-3 text-center border-t border-l tabular-nums">{r.IND}</td>
-                  </tr>
-                ))}
-              </tbody>
-            </table>
-          </div>
-        </section>
+        )}
 
-        <p className="mt-4 text-xs text-gray-500">
-          Legend: V = Victories • HS = Hits Scored • HR = Hits Received • IND = HS − HR
-        </p>
-      </div>
+        {stage === "de" && (
+          <DEBracket
+            bracket={bracket}
+            resolved={resolvedBracket}
+            qualifiedCount={qualified.length}
+            onGenerate={generateBracket}
+            onOpen={(m) => setEditingMatch(m)}
+          />
+        )}
 
-      {/* Pop-up Editor Modal */}
-      {editing && (
-        <div className="fixed inset-0 z-50 flex items-center justify-center">
-          <div className="absolute inset-0 bg-black/50" onClick={() => setEditing(null)} />
-          <div className="relative bg-white w-full max-w-2xl rounded-2xl shadow-2xl p-4 sm:p-6">
-            <div className="flex items-center justify-between mb-2">
-              <div>
-                <h3 className="text-lg font-semibold">Edit Pairing</h3>
-                <div className="text-sm text-gray-600">
-                  <span className="font-medium">{activePool.names[editing.i]}</span>
-                  <span className="mx-2">vs</span>
-                  <span className="font-medium">{activePool.names[editing.j]}</span>
-                </div>
-              </div>
-              <button onClick={() => setEditing(null)} className="rounded-full w-9 h-9 flex items-center justify-center border hover:bg-gray-50">✕</button>
-            </div>
-            <div className="space-y-3 max-h-[60vh] overflow-auto pr-1">
-              {activePool.pairs[editing.i][editing.j].slice(0, B).map((bt, k) => (
-                <div key={k} className="border rounded-xl p-3">
-                  <div className="flex items-center justify-between mb-2">
-                    <div className="text-sm font-medium">Bout {k + 1}</div>
+        {stage === "discipline" && (
+          <DisciplineReport events={disciplineEvents} onExport={exportDisciplineCSV} />
+        )}
+
+        {stage === "pools" && (
+          <>
+            {showHandicaps && !activePool.team && (
+              <HandicapPanel
+                pool={activePool}
+                handicaps={handicaps}
+                onChange={setHandicaps}
+                onPoolToggle={setPoolHandicap}
+                onApplyAll={applyHandicapsToAll}
+              />
+            )}
+
+            <ValidationPanel
+              progress={poolProgress(activePool)}
+              issues={poolIssues(activePool)}
+              finalized={locked}
+              onOpen={locked ? undefined : (issue) => setEditing({ x: issue.x, y: issue.y, k: issue.k })}
+              onFinalize={finalizePool}
+              onUnlock={unlockPool}
+            />
+
+            {/* Names editor; everything that edits the pool is disabled once it is finalized */}
+            <fieldset disabled={locked} className="contents">
+            <div className="mb-4 grid grid-cols-1 sm:grid-cols-2 gap-2">
+              {fencers.map((f, i) => (
+                <div key={f.id} className="flex flex-wrap items-center gap-2">
+                  <span className="text-xs w-6 text-gray-500">{i + 1}.</span>
+                  <input
+                    value={f.name}
+                    onChange={(e) => updateName(f.id, e.target.value)}
+                    className={`flex-1 border rounded-xl px-3 py-2 text-sm bg-white shadow-sm ${isOut(i) ? "line-through text-gray-400" : ""}`}
+                    placeholder={activePool.team ? `Team ${i + 1} name` : `Fencer ${i + 1} name`}
+                  />
+                  {activePool.handicap?.enabled && (
+                    <input
+                      value={f.grade ?? ""}
+                      onChange={(e) => updateGrade(f.id, e.target.value)}
+                      inputMode="decimal"
+                      className="w-16 border rounded-xl px-2 py-2 text-sm bg-white shadow-sm"
+                      placeholder="Grade"
+                      title="Grade or rating for handicaps (higher is stronger)"
+                    />
+                  )}
+                  <select
+                    value={f.status}
+                    onChange={(e) => updateStatus(f.id, e.target.value)}
+                    className="border rounded-xl px-2 py-2 text-sm bg-white shadow-sm"
+                    title="Withdrawal / exclusion status"
+                  >
+                    <option value="">Active</option>
+                    {Object.entries(FENCER_STATUSES).map(([code, label]) => (
+                      <option key={code} value={code}>{code} — {label}</option>
+                    ))}
+                  </select>
+                  <div className="flex items-center print:hidden">
                     <button
-                      onClick={() => {
-                        updateBout(editing.i, editing.j, k, 'a', 0);
-                        updateBout(editing.i, editing.j, k, 'b', 0);
-                        updateBout(editing.i, editing.j, k, 'ha', 0);
-                        updateBout(editing.i, editing.j, k, 'hb', 0);
-                      }}
-                      className="text-xs px-2 py-1 rounded bg-gray-100 hover:bg-gray-200"
+                      onClick={() => moveFencerInPool(i, i - 1)}
+                      disabled={i === 0}
+                      className="w-7 h-9 rounded-l-xl border bg-white hover:bg-gray-50 text-xs disabled:opacity-30"
+                      title="Move up"
                     >
-                      Reset bout
+                      ↑
+                    </button>
+                    <button
+                      onClick={() => moveFencerInPool(i, i + 1)}
+                      disabled={i === N - 1}
+                      className="w-7 h-9 border-y bg-white hover:bg-gray-50 text-xs disabled:opacity-30"
+                      title="Move down"
+                    >
+                      ↓
+                    </button>
+                    <button
+                      onClick={() => removeFencer(f.id)}
+                      disabled={N <= MIN_POOL_SIZE}
+                      className="w-7 h-9 rounded-r-xl border text-red-600 bg-white hover:bg-red-50 text-xs disabled:opacity-30"
+                      title="Remove fencer"
+                    >
+                      ✕
                     </button>
                   </div>
-                  <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
-                    <Inc fieldLabel={`${activePool.names[editing.i]} score`} value={safeInt(bt.a)} onDec={() => incDec(editing.i, editing.j, k, 'a', -1)} onInc={() => incDec(editing.i, editing.j, k, 'a', 1)} />
-                    <Inc fieldLabel={`${activePool.names[editing.j]} score`} value={safeInt(bt.b)} onDec={() => incDec(editing.i, editing.j, k, 'b', -1)} onInc={() => incDec(editing.i, editing.j, k, 'b', 1)} />
-                    <Inc fieldLabel={`Handicap ${activePool.names[editing.i]}`} value={safeInt(bt.ha)} onDec={() => incDec(editing.i, editing.j, k, 'ha', -1)} onInc={() => incDec(editing.i, editing.j, k, 'ha', 1)} />
-                    <Inc fieldLabel={`Handicap ${activePool.names[editing.j]}`} value={safeInt(bt.hb)} onDec={() => incDec(editing.i, editing.j, k, 'hb', -1)} onInc={() => incDec(editing.i, editing.j, k, 'hb', 1)} />
-                  </div>
-                  <div className="mt-2 text-xs text-gray-600">Effective: {effectiveScore(bt.a, bt.ha)} : {effectiveScore(bt.b, bt.hb)}</div>
+                  {activePool.team && (
+                    <div className="basis-full pl-8 grid grid-cols-4 gap-1">
+                      {f.members.map((name, m) => (
+                        <input
+                          key={m}
+                          value={name}
+                          onChange={(e) => updateMember(f.id, m, e.target.value)}
+                          className="border rounded-lg px-2 py-1 text-xs bg-white"
+                          placeholder={m === SUBSTITUTE ? "Substitute" : `Fencer ${m + 1}`}
+                        />
+                      ))}
+                    </div>
+                  )}
                 </div>
               ))}
+              <button
+                onClick={addFencer}
+                className="justify-self-start px-3 py-2 rounded-xl border bg-white hover:bg-gray-50 text-sm shadow-sm print:hidden"
+              >
+                {activePool.team ? "+ Add team" : "+ Add fencer"}
+              </button>
             </div>
-            <div className="mt-4 flex items-center justify-between">
-              <div className="text-sm text-gray-700">
-                {(() => { const s = summaryFor(editing.i, editing.j); return `Summary V ${s.vA}-${s.vB}  |  HS/HR ${s.hsA}/${s.hsB}`; })()}
-              </div>
-              <button onClick={() => setEditing(null)} className="px-3 py-2 rounded-xl bg-black text-white text-sm">Done</button>
+            </fieldset>
+
+            {/* View switch */}
+            <div className="mb-3 flex items-center gap-2 print:hidden">
+              {[["grid", "Pool grid"], ["bouts", "Bout list"], ["log", "Audit log"]].map(([key, label]) => (
+                <button
+                  key={key}
+                  onClick={() => setView(key)}
+                  className={`px-3 py-1.5 rounded-xl text-sm border shadow-sm ${view === key ? "bg-black text-white" : "bg-white hover:bg-gray-50"}`}
+                >
+                  {label}
+                </button>
+              ))}
+              {view === "grid" && !activePool.team && !locked && (
+                <label className="ml-auto flex items-center gap-2 text-sm" title="Type results straight into the grid: V5, D3 or touches">
+                  <input type="checkbox" checked={quickEntry} onChange={(e) => setQuickEntry(e.target.checked)} />
+                  Quick entry
+                </label>
+              )}
             </div>
-          </div>
-        </div>
+
+            {view === "bouts" && (
+              <fieldset disabled={locked}>
+              <BoutList
+                order={boutOrder}
+                names={visibleNames}
+                isComplete={isBoutComplete}
+                onOpen={(bt) => setEditing({ x: fencers[bt.i].id, y: fencers[bt.j].id, k: bt.k })}
+                onFence={activePool.team ? undefined : (bt) => setFencing({ kind: "pool", x: fencers[bt.left].id, y: fencers[bt.right].id, k: bt.k })}
+              />
+              </fieldset>
+            )}
+
+            {view === "log" && (
+              <AuditLog
+                entries={audit}
+                poolId={activePool.id}
+                showAll={auditAllPools}
+                onToggleAll={setAuditAllPools}
+                onExport={exportAuditCSV}
+              />
+            )}
+
+            {/* Pool Grid */}
+            {view === "grid" && (
+              <fieldset disabled={locked} className="min-w-0 overflow-auto border rounded-2xl bg-white shadow-sm">
+                <table className="min-w-max w-full text-sm">
+                  <thead>
+                    <tr>
+                      <th className="sticky left-0 z-30 bg-gray-100 p-3 text-left w-48 border-b">Name</th>
+                      {Array.from({ length: N }).map((_, j) => (
+                        <th key={j} className="sticky top-0 z-20 bg-gray-100 p-3 text-center w-16 border-b border-l">{j + 1}</th>
+                      ))}
+                      {["V","V/M","HS","HR","IND","Place"].map((h) => (
+                        <th key={h} className="sticky top-0 z-20 bg-gray-100 p-3 text-center w-16 border-b border-l">{h}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {Array.from({ length: N }).map((_, i) => (
+                      <tr key={i} className={isOut(i) ? "bg-gray-100 text-gray-400" : ""}>
+                        <td className={`sticky left-0 z-10 p-3 font-medium whitespace-nowrap border-t ${isOut(i) ? "bg-gray-100" : "bg-white"}`}>
+                          {fencers[i].name}
+                          {clubOf(i) && <div className="text-xs font-normal text-gray-500">{clubOf(i)}</div>}
+                        </td>
+                        {Array.from({ length: N }).map((_, j) => {
+                          if (i === j) {
+                            return (
+                              <td key={j} className="p-0 border-t border-l">
+                                <div className="h-12 bg-gray-100" />
+                              </td>
+                            );
+                          }
+                          const annulled = isOut(i) || isOut(j);
+                          const pair = pairKey(fencers[i].id, fencers[j].id);
+                          const conflicted = conflicts.some((c) => c.poolId === activePool.id && pairKey(c.x, c.y) === pair);
+                          if (quickEntry && !activePool.team && !locked) {
+                            return (
+                              <td key={`${activePool.id}-${j}`} className="p-1 border-t border-l">
+                                <SheetCell
+                                  i={i}
+                                  j={j}
+                                  size={N}
+                                  text={cellText(pairBouts(activePool, fencers[i].id, fencers[j].id))}
+                                  annulled={annulled}
+                                  conflicted={conflicted}
+                                  onCommit={(text) => commitCell(i, j, text)}
+                                />
+                              </td>
+                            );
+                          }
+                          if (i > j) {
+                            const label = cellNotation(i, j);
+                            return (
+                              <td key={j} className={`p-1 text-center align-middle border-t border-l ${annulled ? "line-through" : ""}`}>
+                                <span className="text-xs text-gray-400 tabular-nums whitespace-nowrap">{label}</span>
+                              </td>
+                            );
+                          }
+                          const label = cellNotation(i, j);
+                          return (
+                            <td key={j} className="p-1 border-t border-l">
+                              <button
+                                onClick={() => setEditing({ x: fencers[i].id, y: fencers[j].id })}
+                                className={`w-full h-12 rounded-xl border transition flex items-center justify-center gap-1 ${annulled ? "bg-gray-100 line-through" : "bg-white hover:bg-gray-50"} ${conflicted ? "ring-2 ring-amber-400" : ""}`}
+                                title={conflicted ? "Edited on two devices at once — see Live sync" : annulled ? "Annulled — a fencer has withdrawn or been excluded" : "Edit bouts"}
+                              >
+                                {label ? (
+                                  <span className={`text-sm tabular-nums font-semibold whitespace-nowrap ${annulled ? "text-gray-400" : "text-gray-800"}`}>
+                                    {label}
+                                  </span>
+                                ) : (
+                                  <span className="text-xs text-gray-400">Add</span>
+                                )}
+                              </button>
+                            </td>
+                          );
+                        })}
+                        <td className="p-3 text-center font-semibold tabular-nums border-t border-l">{standings[i].V}</td>
+                        <td className="p-3 text-center tabular-nums border-t border-l">{formatRatio(standings[i])}</td>
+                        <td className="p-3 text-center tabular-nums border-t border-l">{standings[i].HS}</td>
+                        <td className="p-3 text-center tabular-nums border-t border-l">{standings[i].HR}</td>
+                        <td className="p-3 text-center tabular-nums border-t border-l">{standings[i].IND}</td>
+                        <td className="p-3 text-center font-semibold tabular-nums border-t border-l">{standings[i].Place}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </fieldset>
+            )}
+
+            {/* Standings Table */}
+            <section className="mt-6">
+              <div className="mb-2 flex items-center gap-3">
+                <h2 className="text-lg font-semibold">Standings</h2>
+                <fieldset disabled={locked} className="contents">
+                  <RankingSettings ranking={activePool.ranking} onChange={(ranking) => updatePool({ ranking })} />
+                </fieldset>
+                <button
+                  onClick={exportStandingsCSV}
+                  className="ml-auto px-3 py-2 rounded-xl bg-black text-white text-sm shadow-sm"
+                  title="Download standings as CSV"
+                >
+                  Export CSV
+                </button>
+                {activePool.team && (
+                  <button
+                    onClick={exportTeamFencersCSV}
+                    className="px-3 py-2 rounded-xl border bg-white hover:bg-gray-50 text-sm shadow-sm"
+                    title="Download every team member's legs, touches and indicator as CSV"
+                  >
+                    Fencer indicators CSV
+                  </button>
+                )}
+              </div>
+              <div className="overflow-auto border rounded-2xl bg-white shadow-sm">
+                <table className="min-w-max w-full text-sm">
+                  <thead>
+                    <tr>
+                      {["#","Name","V","M","V/M","HS","HR","IND"].map((h, idx) => (
+                        <th key={h} className={`p-3 ${idx<2?"text-left":"text-center"} bg-gray-100 border-b ${idx>0?"border-l":""}`}>{h}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {sortedStandings.map((r) => (
+                      <tr key={r.idx} className={r.status ? "text-gray-400" : ""}>
+                        <td className="p-3 border-t tabular-nums">{r.Place}{r.tie ? "T" : ""}</td>
+                        <td className="p-3 border-t border-l">{r.name}</td>
+                        <td className="p-3 text-center border-t border-l tabular-nums font-semibold">{r.V}</td>
+                        <td className="p-3 text-center border-t border-l tabular-nums">{r.M}</td>
+                        <td className="p-3 text-center border-t border-l tabular-nums">{formatRatio(r)}</td>
+                        <td className="p-3 text-center border-t border-l tabular-nums">{r.HS}</td>
+                        <td className="p-3 text-center border-t border-l tabular-nums">{r.HR}</td>
+                        <td className="p-3 text-center border-t border-l tabular-nums">{r.IND}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <BarragePanel
+                offers={medalOffers}
+                barrages={barrages.filter((b) => b.scope === `pool:${activePool.id}`)}
+                onCreate={createTieBarrage}
+                onOpen={(b, x, y) => setEditingBarrage({ id: b.id, x, y })}
+                onRemove={removeBarrage}
+              />
+            </section>
+
+            <p className="mt-4 text-xs text-gray-500">
+              Legend: V = Victories • M = Bouts fenced • V/M = Victory ratio • HS = Hits Scored • HR = Hits Received • IND = HS − HR •{" "}
+              {Object.entries(FENCER_STATUSES).map(([code, label]) => `${code} = ${label}`).join(" • ")}
+              {" "}(all of that fencer's bouts are annulled)
+            </p>
+          </>
+        )}
+      </div>
+
+      {/* Pop-up Editor Modal */}
+      {editing && activePool.team && (
+        <RelayEditor
+          title={activePool.name}
+          teamA={fencers.find((f) => f.id === editing.x)}
+          teamB={fencers.find((f) => f.id === editing.y)}
+          bout={getBout(activePool, editing.x, editing.y, 0)}
+          onChange={(bout) => setPairBout(editing.x, editing.y, 0, bout)}
+          onClose={() => setEditing(null)}
+        />
+      )}
+      {editing && !activePool.team && (
+        <BoutEditor
+          title="Edit Pairing"
+          nameA={nameOf(editing.x)}
+          nameB={nameOf(editing.y)}
+          bouts={pairBouts(activePool, editing.x, editing.y)}
+          maxTouches={T}
+          focusIndex={editing.k}
+          summary={(() => { const s = summaryFor(editing.x, editing.y); return `Summary V ${s.vA}-${s.vB}  |  HS/HR ${s.hsA}/${s.hsB}`; })()}
+          locked={locked}
+          onChange={(k, bout) => setPairBout(editing.x, editing.y, k, bout)}
+          onBlackCard={(side) => excludeFencer(side === "a" ? editing.x : editing.y)}
+          onFence={(k) => {
+            setFencing({ kind: "pool", x: editing.x, y: editing.y, k });
+            setEditing(null);
+          }}
+          onClose={() => setEditing(null)}
+        />
+      )}
+      {editingMatch && bracket.maxTouches === TEAM_TOUCHES && (
+        <RelayEditor
+          title={editingMatch.key === THIRD_PLACE_KEY ? "Third place match" : "DE match"}
+          teamA={editingMatch.a}
+          teamB={editingMatch.b}
+          bout={matchBout(bracket, editingMatch.key, editingMatch.a, editingMatch.b)}
+          onChange={(bout) => setBracketBout(editingMatch, bout)}
+          onClose={() => setEditingMatch(null)}
+        />
+      )}
+      {editingMatch && bracket.maxTouches !== TEAM_TOUCHES && (
+        <BoutEditor
+          title={editingMatch.key === THIRD_PLACE_KEY ? "Third place bout" : "DE bout"}
+          nameA={editingMatch.a.name}
+          nameB={editingMatch.b.name}
+          bouts={[matchBout(bracket, editingMatch.key, editingMatch.a, editingMatch.b)]}
+          maxTouches={DE_TOUCHES}
+          onChange={(_, bout) => setBracketBout(editingMatch, bout)}
+          onFence={() => {
+            setFencing({ kind: "de", key: editingMatch.key, a: editingMatch.a, b: editingMatch.b });
+            setEditingMatch(null);
+          }}
+          onClose={() => setEditingMatch(null)}
+        />
+      )}
+
+      {editingBarrage && (
+        <BoutEditor
+          title={barrageOf(editingBarrage.id).name}
+          nameA={barrageName(barrageOf(editingBarrage.id), editingBarrage.x)}
+          nameB={barrageName(barrageOf(editingBarrage.id), editingBarrage.y)}
+          bouts={[getBout(barrageOf(editingBarrage.id), editingBarrage.x, editingBarrage.y, 0)]}
+          maxTouches={BARRAGE_TOUCHES}
+          onChange={(_, bout) => setBarrageBout(editingBarrage.id, editingBarrage.x, editingBarrage.y, bout)}
+          onFence={() => {
+            setFencing({ kind: "barrage", ...editingBarrage });
+            setEditingBarrage(null);
+          }}
+          onClose={() => setEditingBarrage(null)}
+        />
+      )}
+
+      {/* Live scoring */}
+      {fencing?.kind === "pool" && (
+        <FenceMode
+          title={`${activePool.name}${B > 1 ? ` • round ${fencing.k + 1}` : ""}`}
+          nameLeft={nameOf(fencing.x)}
+          nameRight={nameOf(fencing.y)}
+          leftSide="a"
+          bout={getBout(activePool, fencing.x, fencing.y, fencing.k)}
+          maxTouches={T}
+          clockConfig={POOL_CLOCK}
+          onChange={(bout) => setPairBout(fencing.x, fencing.y, fencing.k, bout)}
+          onBlackCard={(side) => excludeFencer(side === "a" ? fencing.x : fencing.y)}
+          onClose={() => setFencing(null)}
+        />
+      )}
+      {fencing?.kind === "de" && (
+        <FenceMode
+          title={fencing.key === THIRD_PLACE_KEY ? "Third place bout" : "DE bout"}
+          nameLeft={fencing.a.name}
+          nameRight={fencing.b.name}
+          leftSide="a"
+          bout={matchBout(bracket, fencing.key, fencing.a, fencing.b)}
+          maxTouches={DE_TOUCHES}
+          clockConfig={DE_CLOCK}
+          onChange={(bout) => setBracketBout(fencing, bout)}
+          onClose={() => setFencing(null)}
+        />
+      )}
+      {fencing?.kind === "barrage" && (
+        <FenceMode
+          title={barrageOf(fencing.id).name}
+          nameLeft={barrageName(barrageOf(fencing.id), fencing.x)}
+          nameRight={barrageName(barrageOf(fencing.id), fencing.y)}
+          leftSide="a"
+          bout={getBout(barrageOf(fencing.id), fencing.x, fencing.y, 0)}
+          maxTouches={BARRAGE_TOUCHES}
+          clockConfig={POOL_CLOCK}
+          onChange={(bout) => setBarrageBout(fencing.id, fencing.x, fencing.y, bout)}
+          onClose={() => setFencing(null)}
+        />
+      )}
+
+      {printJob && (
+        <PrintSheets
+          kind={printJob.kind}
+          pools={pools.filter((p) => printJob.poolIds.includes(p.id))}
+          roster={roster}
+          barrages={barrages}
+          heading={tournamentName || "Pool sheet"}
+          subtitle={printSubtitle}
+        />
       )}
 
       <style>{`
@@ -496,16 +1792,3 @@ export default function App() {
     </div>
   );
 }
-
-function Inc({ fieldLabel, value, onDec, onInc }) {
-  return (
-    <div>
-      <label className="block text-xs text-gray-600 mb-1">{fieldLabel}</label>
-      <div className="flex items-center gap-2">
-        <button onClick={onDec} className="w-9 h-9 rounded-xl border bg-gray-50 hover:bg-gray-100 text-lg leading-none">−</button>
-        <div className="min-w-10 text-center text-base font-medium">{value}</div>
-        <button onClick={onInc} className="w-9 h-9 rounded-xl border bg-gray-50 hover:bg-gray-100 text-lg leading-none">+</button>
-      </div>
-    </div>
-  );
-}
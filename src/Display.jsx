@@ -0,0 +1,241 @@
+import { useState, useEffect, useMemo } from 'react';
+import { loadState, validateState } from './lib/storage.js';
+import { boutNotation, boutWinner, sideScore } from './lib/bout.js';
+import { generateBoutOrder } from './lib/boutOrder.js';
+import { getBout, pairBouts } from './lib/pool.js';
+import { resolveBracket } from './lib/bracket.js';
+import { DEFAULT_PROMOTION, computePoolStandings, sortStandings, computeOverallSeeding, formatRatio } from './lib/standings.js';
+import { isPoolComplete, poolProgress } from './lib/validation.js';
+import { ROTATE_MS, subscribeDisplay } from './lib/display.js';
+import { activeEventOf, openEvent } from './lib/tournament.js';
+import DEBracket from './components/DEBracket.jsx';
+
+/**
+ * Read-only hall display, opened from the editing tab in a tab of its own
+ * - Shows the event and pool round open in the editing tab
+ * - Large-type pool grids and standings, rotating through every pool
+ * - Overall seeding once all pools are complete, and the DE tableau once drawn
+ * - A strip of the bouts now on each piste, always on screen
+ */
+
+// A bout is on the strip from Fence mode's start time until its end time
+function isLive(bt) {
+  return !!bt.start && !bt.end;
+}
+
+// The bouts a pool is fencing now — those running live, or else the next one
+// in official order — and the bout after them
+function poolQueue(pool) {
+  const { fencers } = pool;
+  if (fencers.length < 2) return { now: [], next: null };
+  const out = (i) => !!fencers[i].status;
+  const order = generateBoutOrder(fencers.length, pool.boutsPer)
+    .filter((o) => !out(o.i) && !out(o.j))
+    .map((o) => ({ ...o, bout: getBout(pool, fencers[o.left].id, fencers[o.right].id, o.k) }));
+  const live = order.filter((o) => isLive(o.bout));
+  const pending = order.filter((o) => !isLive(o.bout) && !boutWinner(o.bout));
+  return live.length > 0
+    ? { now: live, next: pending[0] ?? null }
+    : { now: pending.slice(0, 1), next: pending[1] ?? null };
+}
+
+function scoreText(bt) {
+  return bt.a === "" && bt.b === "" ? "" : `${sideScore(bt, "a")}–${sideScore(bt, "b")}`;
+}
+
+function PisteStrip({ pools, resolved }) {
+  const pistes = pools.flatMap((pool) => {
+    const { now, next } = poolQueue(pool);
+    const name = (o) => `${pool.fencers[o.left].name} vs ${pool.fencers[o.right].name}`;
+    return now.map((o, q) => ({
+      key: `pool-${pool.id}-${o.n}`,
+      piste: o.bout.piste || pool.name,
+      now: name(o),
+      score: scoreText(o.bout),
+      next: q === now.length - 1 && next ? name(next) : "",
+    }));
+  });
+  if (resolved) {
+    [...resolved.rounds.flat(), ...(resolved.third ? [resolved.third] : [])]
+      .filter((m) => m.ready && isLive(m.bout))
+      .forEach((m) => pistes.push({
+        key: m.key,
+        piste: m.bout.piste || "DE",
+        now: `${m.a.name} vs ${m.b.name}`,
+        score: scoreText(m.bout),
+        next: "",
+      }));
+  }
+  if (pistes.length === 0) return null;
+  return (
+    <div className="grid gap-3 grid-cols-[repeat(auto-fill,minmax(18rem,1fr))]">
+      {pistes.map((p) => (
+        <div key={p.key} className="rounded-2xl bg-white/10 px-4 py-3">
+          <div className="text-sm uppercase tracking-wide text-gray-400">{p.piste}</div>
+          <div className="flex items-baseline gap-3 text-2xl font-semibold">
+            <span className="flex-1 truncate">{p.now}</span>
+            <span className="tabular-nums text-yellow-300">{p.score}</span>
+          </div>
+          {p.next && <div className="text-sm text-gray-400 truncate">Next: {p.next}</div>}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function PoolPage({ pool, barrages }) {
+  const standings = computePoolStandings(pool, barrages);
+  const sorted = sortStandings(standings);
+  const { fencers } = pool;
+  const { done, total } = poolProgress(pool);
+  const cell = (i, j) =>
+    pairBouts(pool, fencers[i].id, fencers[j].id)
+      .map((bt) => boutNotation(bt, "a"))
+      .filter(Boolean)
+      .join(" ");
+  return (
+    <div className="grid gap-6 xl:grid-cols-[2fr_1fr]">
+      <div className="overflow-hidden rounded-2xl bg-white text-gray-900">
+        <table className="w-full text-xl">
+          <thead>
+            <tr className="bg-gray-200">
+              <th className="p-3 text-left">{pool.name}</th>
+              {fencers.map((_, j) => (
+                <th key={j} className="p-3 w-20 text-center border-l">{j + 1}</th>
+              ))}
+              {["V", "IND", "Pl"].map((h) => (
+                <th key={h} className="p-3 w-20 text-center border-l">{h}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {fencers.map((f, i) => (
+              <tr key={f.id} className={`border-t ${f.status ? "text-gray-400" : ""}`}>
+                <td className="p-3 font-semibold whitespace-nowrap">
+                  <span className="mr-2 text-gray-400 tabular-nums">{i + 1}</span>
+                  {f.name}
+                </td>
+                {fencers.map((_, j) => (
+                  <td key={j} className={`p-2 text-center border-l tabular-nums font-semibold ${i === j ? "bg-gray-300" : ""}`}>
+                    {i === j ? "" : cell(i, j)}
+                  </td>
+                ))}
+                <td className="p-2 text-center border-l tabular-nums font-bold">{standings[i].V}</td>
+                <td className="p-2 text-center border-l tabular-nums">{standings[i].IND}</td>
+                <td className="p-2 text-center border-l tabular-nums font-bold">{standings[i].Place}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="px-3 py-2 text-base text-gray-500 border-t">
+          {pool.finalized ? "Final results" : `${done} of ${total} bouts fenced`}
+        </div>
+      </div>
+      <ol className="rounded-2xl bg-white/10 p-4 text-2xl space-y-2">
+        {sorted.map((r) => (
+          <li key={r.id} className={`flex items-baseline gap-3 ${r.status ? "text-gray-500" : ""}`}>
+            <span className="w-12 tabular-nums text-gray-400">{r.Place}{r.tie ? "T" : ""}</span>
+            <span className="flex-1 truncate font-semibold">{r.name}</span>
+            <span className="tabular-nums text-lg text-gray-300">{r.V}V {formatRatio(r)} {r.IND > 0 ? "+" : ""}{r.IND}</span>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
+
+function OverallPage({ rows }) {
+  return (
+    <div>
+      <h2 className="mb-4 text-3xl font-semibold">Overall seeding</h2>
+      <ol className="columns-1 lg:columns-2 gap-8 text-xl">
+        {rows.map((r) => (
+          <li key={`${r.poolId}-${r.id}`} className={`break-inside-avoid flex items-baseline gap-3 py-1 border-b border-white/10 ${r.promoted ? "" : "text-gray-500"}`}>
+            <span className="w-12 tabular-nums text-gray-400">{r.Place}{r.tied ? "T" : ""}</span>
+            <span className="flex-1 truncate font-semibold">{r.name}</span>
+            <span className="text-base text-gray-400">{r.poolName}</span>
+            <span className="w-44 text-right tabular-nums text-base text-gray-300">{formatRatio(r)} {r.IND > 0 ? "+" : ""}{r.IND} {r.HS}</span>
+          </li>
+        ))}
+      </ol>
+      <p className="mt-3 text-base text-gray-400">Greyed out: not promoted to the direct elimination.</p>
+    </div>
+  );
+}
+
+export default function Display() {
+  const [tournament, setTournament] = useState(null);
+  const [error, setError] = useState("");
+  const [tick, setTick] = useState(0);
+
+  // Start from the autosave unless the editing tab has already posted a newer state
+  useEffect(() => {
+    let cancelled = false;
+    loadState()
+      .then((saved) => {
+        if (!cancelled && saved) setTournament((t) => t ?? saved.state);
+      })
+      .catch((err) => setError(`Could not read the autosave: ${err.message}`));
+    const stop = subscribeDisplay((next) => {
+      try {
+        setTournament(validateState(next));
+        setError("");
+      } catch (err) {
+        setError(err.message);
+      }
+    });
+    return () => {
+      cancelled = true;
+      stop();
+    };
+  }, []);
+
+  useEffect(() => {
+    const timer = setInterval(() => setTick((t) => t + 1), ROTATE_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  const event = tournament && activeEventOf(tournament);
+  const state = useMemo(() => (event ? openEvent(event) : null), [event]);
+  const resolved = useMemo(() => (state?.bracket ? resolveBracket(state.bracket) : null), [state]);
+  const pages = useMemo(() => {
+    if (!state) return [];
+    const barrages = state.barrages ?? [];
+    const list = state.pools.map((pool) => ({ key: `pool-${pool.id}`, title: pool.name, render: () => <PoolPage pool={pool} barrages={barrages} /> }));
+    if (state.pools.every(isPoolComplete)) {
+      const rows = computeOverallSeeding(state.pools, state.promotion ?? DEFAULT_PROMOTION, barrages);
+      list.push({ key: "overall", title: "Overall seeding", render: () => <OverallPage rows={rows} /> });
+    }
+    if (resolved) {
+      list.push({ key: "de", title: "Direct elimination", render: () => <DEBracket bracket={state.bracket} resolved={resolved} /> });
+    }
+    return list;
+  }, [state, resolved]);
+
+  const page = pages.length > 0 ? pages[tick % pages.length] : null;
+
+  return (
+    <div className="min-h-screen bg-gray-900 text-white p-6 flex flex-col gap-6">
+      <header className="flex items-baseline gap-4">
+        <h1 className="text-3xl font-bold">{page ? page.title : "Fencing results"}</h1>
+        {event && <span className="text-xl text-gray-400">{event.name}{event.rounds.length > 1 ? ` • round ${event.round + 1}` : ""}</span>}
+        {pages.length > 1 && (
+          <div className="flex gap-2">
+            {pages.map((p) => (
+              <span key={p.key} className={`h-2 w-8 rounded-full ${p === page ? "bg-white" : "bg-white/20"}`} />
+            ))}
+          </div>
+        )}
+        {error && <span className="ml-auto text-base text-red-400">{error}</span>}
+      </header>
+      {state && <PisteStrip pools={state.pools} resolved={resolved} />}
+      <main className="flex-1">
+        {page ? (
+          <div className={page.key === "de" ? "rounded-2xl bg-white p-4 text-gray-900" : ""}>{page.render()}</div>
+        ) : (
+          <p className="text-2xl text-gray-400">Waiting for the tournament — open the editing tab on this computer.</p>
+        )}
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,69 @@
+import { useState } from 'react';
+import { AUDIT_COLUMNS, auditRows, groupAudit } from '../lib/audit.js';
+
+/**
+ * Audit log of score and pool changes, newest first.
+ * Shows the active pool's entries, or every pool's with `showAll`; quick
+ * repeats are grouped on screen unless turned off, and the export is always
+ * the full log.
+ */
+export default function AuditLog({ entries, poolId, showAll, onToggleAll, onExport }) {
+  const [grouped, setGrouped] = useState(true);
+  const visible = showAll ? entries : entries.filter((e) => e.poolId === poolId);
+  const rows = auditRows(grouped ? groupAudit(visible) : visible).reverse();
+
+  return (
+    <div className="border rounded-2xl bg-white shadow-sm">
+      <div className="p-3 border-b flex flex-wrap items-center gap-3">
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input type="checkbox" checked={showAll} onChange={(e) => onToggleAll(e.target.checked)} />
+          All pools
+        </label>
+        <label className="flex items-center gap-2 text-sm text-gray-700" title="Show quick repeated edits of the same field as one row">
+          <input type="checkbox" checked={grouped} onChange={(e) => setGrouped(e.target.checked)} />
+          Group quick repeats
+        </label>
+        <span className="text-xs text-gray-500 tabular-nums">{visible.length} change(s)</span>
+        <button
+          onClick={() => onExport(visible)}
+          disabled={visible.length === 0}
+          className="ml-auto px-3 py-2 rounded-xl bg-black text-white text-sm shadow-sm disabled:opacity-40"
+          title="Download these log entries as CSV"
+        >
+          Export log
+        </button>
+      </div>
+      <div className="overflow-auto max-h-[60vh]">
+        <table className="min-w-max w-full text-sm">
+          <thead>
+            <tr>
+              {AUDIT_COLUMNS.map((h, idx) => (
+                <th key={h} className={`sticky top-0 p-2 text-left bg-gray-100 border-b ${idx > 0 ? "border-l" : ""}`}>{h}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.length === 0 && (
+              <tr>
+                <td colSpan={AUDIT_COLUMNS.length} className="p-3 text-gray-500">No changes recorded yet.</td>
+              </tr>
+            )}
+            {rows.map(([at, who, action, pool, pair, bout, field, from, to], k) => (
+              <tr key={k} className={action !== "edit" ? "text-blue-700" : ""}>
+                <td className="p-2 border-t text-xs text-gray-500 tabular-nums whitespace-nowrap">{new Date(at).toLocaleString()}</td>
+                <td className="p-2 border-t border-l">{who}</td>
+                <td className="p-2 border-t border-l">{action}</td>
+                <td className="p-2 border-t border-l">{pool}</td>
+                <td className="p-2 border-t border-l tabular-nums">{pair}</td>
+                <td className="p-2 border-t border-l tabular-nums">{bout}</td>
+                <td className="p-2 border-t border-l">{field}</td>
+                <td className="p-2 border-t border-l tabular-nums text-gray-500">{from || "—"}</td>
+                <td className="p-2 border-t border-l tabular-nums font-medium">{to || "—"}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
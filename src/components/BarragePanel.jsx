@@ -0,0 +1,57 @@
+import { boutNotation, boutWinner } from '../lib/bout.js';
+import { getBout, poolPairs } from '../lib/pool.js';
+import { barrageOrder } from '../lib/barrage.js';
+
+function status(barrage) {
+  const order = barrageOrder(barrage);
+  if (order) {
+    const nameOf = (ref) => barrage.fencers.find((f) => f.ref === ref).name;
+    return `Settled: ${order.map((ref, k) => `${k + 1}. ${nameOf(ref)}`).join(", ")}`;
+  }
+  const done = poolPairs(barrage).every(({ x, y }) => boutWinner(getBout(barrage, x, y, 0)));
+  return done ? "Still level — remove it and fence again" : "In progress";
+}
+
+/**
+ * Ties that call for a barrage and the barrages fenced for them.
+ * `offers` are the unsettled ties (`{ label, rows }`); each barrage bout opens
+ * through `onOpen(barrage, x, y)`.
+ */
+export default function BarragePanel({ offers, barrages, onCreate, onOpen, onRemove }) {
+  if (offers.length === 0 && barrages.length === 0) return null;
+  return (
+    <div className="mt-3 border rounded-2xl bg-white shadow-sm divide-y print:hidden">
+      {offers.map((offer) => (
+        <div key={offer.label} className="p-3 flex flex-wrap items-center gap-3 text-sm bg-amber-50">
+          <span className="font-medium text-amber-800">{offer.label}</span>
+          <span>{offer.rows.map((r) => r.name).join(", ")}</span>
+          <button onClick={() => onCreate(offer)} className="ml-auto px-3 py-1.5 rounded-xl bg-black text-white text-sm shadow-sm">
+            Fence a barrage
+          </button>
+        </div>
+      ))}
+      {barrages.map((b) => (
+        <div key={b.id} className="p-3 flex flex-wrap items-center gap-2 text-sm">
+          <span className="font-medium">{b.name}</span>
+          {poolPairs(b).map(({ x, y }) => {
+            const bt = getBout(b, x, y, 0);
+            const nameOf = (id) => b.fencers.find((f) => f.id === id).name;
+            return (
+              <button
+                key={`${x}-${y}`}
+                onClick={() => onOpen(b, x, y)}
+                className="px-2 py-1 rounded-lg border bg-white hover:bg-gray-50 tabular-nums"
+              >
+                {nameOf(x)} {boutWinner(bt) ? `${boutNotation(bt, "a")}–${boutNotation(bt, "b")}` : "vs"} {nameOf(y)}
+              </button>
+            );
+          })}
+          <span className="text-xs text-gray-500">{status(b)}</span>
+          <button onClick={() => onRemove(b)} className="ml-auto text-xs px-2 py-1 rounded text-red-600 hover:bg-red-50">
+            Remove
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,199 @@
+import {
+  CARD_TYPES,
+  makeEmptyBout,
+  safeInt,
+  sideScore,
+  boutCards,
+  isBoutEmpty,
+  boutWinner,
+  boutNotation,
+  stepBout,
+  addCard,
+  removeCard,
+} from '../lib/bout.js';
+
+const CARD_STYLES = {
+  Y: "bg-yellow-300 border-yellow-400 text-black",
+  R: "bg-red-500 border-red-600 text-white",
+  B: "bg-black border-black text-white",
+};
+
+/**
+ * Pop-up editor for the bouts between two fencers.
+ * Used for pool pairings (1–6 bouts) and single DE bouts alike; every change is
+ * reported as a whole new bout object through `onChange(k, bout)`.
+ * A black card is first reported through `onBlackCard(side)` so the caller can
+ * apply exclusion; it returns false when the exclusion was cancelled, and the
+ * card is then not recorded. `onFence(k)`, when given, opens bout k in Fence mode.
+ * `locked` shows the bouts of a finalized pool read-only.
+ */
+export default function BoutEditor({ title, nameA, nameB, bouts, maxTouches, focusIndex, summary, locked, onChange, onBlackCard, onFence, onClose }) {
+  const T = maxTouches;
+
+  const incDec = (k, field, delta) => {
+    const next = stepBout(bouts[k], field, delta, T);
+    if (next) onChange(k, next);
+  };
+
+  const giveCard = (k, side, type) => {
+    if (type === "B" && onBlackCard && !onBlackCard(side)) return;
+    onChange(k, addCard(bouts[k], side, type, T));
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center">
+      <div className="absolute inset-0 bg-black/50" onClick={onClose} />
+      <div className="relative bg-white w-full max-w-2xl rounded-2xl shadow-2xl p-4 sm:p-6">
+        <div className="flex items-center justify-between mb-2">
+          <div>
+            <h3 className="text-lg font-semibold">{title}</h3>
+            <div className="text-sm text-gray-600">
+              <span className="font-medium">{nameA}</span>
+              <span className="mx-2">vs</span>
+              <span className="font-medium">{nameB}</span>
+            </div>
+            {locked && <div className="mt-1 text-sm text-green-700">🔒 Pool finalized — unlock it to change these bouts</div>}
+          </div>
+          <button onClick={onClose} className="rounded-full w-9 h-9 flex items-center justify-center border hover:bg-gray-50">✕</button>
+        </div>
+        <fieldset disabled={locked} className="space-y-3 max-h-[60vh] overflow-auto pr-1">
+          {bouts.map((bt, k) => (
+            <div key={k} className={`border rounded-xl p-3 ${focusIndex === k ? "ring-2 ring-black" : ""}`}>
+              <div className="flex items-center justify-between mb-2">
+                <div className="text-sm font-medium">{bouts.length > 1 ? `Bout ${k + 1}` : `Bout to ${T}`}</div>
+                <div className="flex items-center gap-2">
+                  {onFence && !locked && (
+                    <button
+                      onClick={() => onFence(k)}
+                      className="text-xs px-2 py-1 rounded bg-green-600 hover:bg-green-500 text-white"
+                    >
+                      Fence ▶
+                    </button>
+                  )}
+                  <button
+                    onClick={() => onChange(k, makeEmptyBout())}
+                    className="text-xs px-2 py-1 rounded bg-gray-100 hover:bg-gray-200"
+                  >
+                    Reset bout
+                  </button>
+                </div>
+              </div>
+              <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+                <Inc fieldLabel={`${nameA} score`} value={safeInt(bt.a)} canInc={!!stepBout(bt, 'a', 1, T)} onDec={() => incDec(k, 'a', -1)} onInc={() => incDec(k, 'a', 1)} />
+                <Inc fieldLabel={`${nameB} score`} value={safeInt(bt.b)} canInc={!!stepBout(bt, 'b', 1, T)} onDec={() => incDec(k, 'b', -1)} onInc={() => incDec(k, 'b', 1)} />
+                <Inc fieldLabel={`Handicap ${nameA}`} value={safeInt(bt.ha)} canInc={!!stepBout(bt, 'ha', 1, T)} onDec={() => incDec(k, 'ha', -1)} onInc={() => incDec(k, 'ha', 1)} />
+                <Inc fieldLabel={`Handicap ${nameB}`} value={safeInt(bt.hb)} canInc={!!stepBout(bt, 'hb', 1, T)} onDec={() => incDec(k, 'hb', -1)} onInc={() => incDec(k, 'hb', 1)} />
+                <Inc fieldLabel={`Penalty touches ${nameA}`} value={safeInt(bt.pa)} canInc={!!stepBout(bt, 'pa', 1, T)} onDec={() => incDec(k, 'pa', -1)} onInc={() => incDec(k, 'pa', 1)} />
+                <Inc fieldLabel={`Penalty touches ${nameB}`} value={safeInt(bt.pb)} canInc={!!stepBout(bt, 'pb', 1, T)} onDec={() => incDec(k, 'pb', -1)} onInc={() => incDec(k, 'pb', 1)} />
+              </div>
+              <div className="mt-2 text-xs text-gray-600">
+                Effective: {sideScore(bt, 'a')} : {sideScore(bt, 'b')}
+                {boutWinner(bt) && (
+                  <span className="ml-2 font-medium text-gray-800">
+                    ({boutNotation(bt, 'a')} / {boutNotation(bt, 'b')}{bt.priority ? ", priority" : ""})
+                  </span>
+                )}
+                {Math.max(sideScore(bt, 'a'), sideScore(bt, 'b')) > T && (
+                  <span className="ml-2 text-red-600">Over the {T}-touch limit</span>
+                )}
+              </div>
+              {!isBoutEmpty(bt) && sideScore(bt, 'a') === sideScore(bt, 'b') && (
+                <div className="mt-2 flex flex-wrap items-center gap-2 text-xs">
+                  <span className="text-amber-700">Tied — winner on priority:</span>
+                  {[["a", nameA], ["b", nameB]].map(([side, name]) => (
+                    <button
+                      key={side}
+                      onClick={() => onChange(k, { ...bt, w: bt.w === side ? "" : side, priority: bt.w !== side })}
+                      className={`px-2 py-1 rounded border ${bt.w === side ? "bg-black text-white" : "bg-white hover:bg-gray-50"}`}
+                    >
+                      {name}
+                    </button>
+                  ))}
+                </div>
+              )}
+
+              {/* Cards */}
+              <div className="mt-3 grid grid-cols-1 sm:grid-cols-2 gap-3">
+                {[["a", nameA], ["b", nameB]].map(([side, name]) => (
+                  <div key={side} className="text-xs">
+                    <div className="flex items-center gap-1">
+                      <span className="text-gray-600 mr-1">Card to {name}:</span>
+                      {Object.entries(CARD_TYPES).map(([type, label]) => (
+                        <button
+                          key={type}
+                          onClick={() => giveCard(k, side, type)}
+                          title={`${label} card${type === "R" ? " (penalty touch to opponent)" : type === "B" ? " (exclusion)" : ""}`}
+                          className={`w-7 h-7 rounded border font-semibold ${CARD_STYLES[type]}`}
+                        >
+                          {type}
+                        </button>
+                      ))}
+                    </div>
+                    <div className="mt-1 flex flex-wrap gap-1">
+                      {boutCards(bt).map((card, idx) => card.side === side && (
+                        <span key={idx} className={`inline-flex items-center gap-1 px-1.5 py-0.5 rounded ${CARD_STYLES[card.type]}`}>
+                          {CARD_TYPES[card.type]}
+                          <button onClick={() => onChange(k, removeCard(bt, idx))} title="Remove card">✕</button>
+                        </span>
+                      ))}
+                    </div>
+                  </div>
+                ))}
+              </div>
+
+              {/* Bout details */}
+              <details className="mt-3 text-xs">
+                <summary className="cursor-pointer text-gray-600">Referee, piste &amp; times</summary>
+                <div className="mt-2 grid grid-cols-2 sm:grid-cols-4 gap-3">
+                  <Field label="Referee" value={bt.referee ?? ""} onChange={(v) => onChange(k, { ...bt, referee: v })} />
+                  <Field label="Piste" value={bt.piste ?? ""} onChange={(v) => onChange(k, { ...bt, piste: v })} />
+                  <Field label="Start" type="time" value={bt.start ?? ""} onChange={(v) => onChange(k, { ...bt, start: v })} />
+                  <Field label="End" type="time" value={bt.end ?? ""} onChange={(v) => onChange(k, { ...bt, end: v })} />
+                </div>
+                <label className="mt-2 flex items-center gap-2 text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={!!bt.priority}
+                    onChange={(e) => onChange(k, { ...bt, priority: e.target.checked })}
+                  />
+                  Decided on priority
+                </label>
+              </details>
+            </div>
+          ))}
+        </fieldset>
+        <div className="mt-4 flex items-center justify-between">
+          <div className="text-sm text-gray-700">{summary}</div>
+          <button onClick={onClose} className="px-3 py-2 rounded-xl bg-black text-white text-sm">Done</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function Field({ label, type = "text", value, onChange }) {
+  return (
+    <div>
+      <label className="block text-xs text-gray-600 mb-1">{label}</label>
+      <input
+        type={type}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        className="w-full border rounded-lg px-2 py-1 text-sm bg-white"
+      />
+    </div>
+  );
+}
+
+function Inc({ fieldLabel, value, canInc = true, onDec, onInc }) {
+  return (
+    <div>
+      <label className="block text-xs text-gray-600 mb-1">{fieldLabel}</label>
+      <div className="flex items-center gap-2">
+        <button onClick={onDec} className="w-9 h-9 rounded-xl border bg-gray-50 hover:bg-gray-100 text-lg leading-none">−</button>
+        <div className="min-w-10 text-center text-base font-medium">{value}</div>
+        <button onClick={onInc} disabled={!canInc} className="w-9 h-9 rounded-xl border bg-gray-50 hover:bg-gray-100 text-lg leading-none disabled:opacity-40">+</button>
+      </div>
+    </div>
+  );
+}
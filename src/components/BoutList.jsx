@@ -0,0 +1,69 @@
+const QUEUE_LABELS = ["Current", "On deck", "In the hole"];
+
+/**
+ * Bout list for the active pool in official order.
+ * Shows who is fencing now, on deck and in the hole; clicking a bout opens its pairing.
+ * The current bout can also be scored live in Fence mode.
+ */
+export default function BoutList({ order, names, isComplete, onOpen, onFence }) {
+  const pending = order.filter((bt) => !isComplete(bt));
+  const queue = pending.slice(0, QUEUE_LABELS.length);
+  const status = new Map(queue.map((bt, q) => [bt.n, QUEUE_LABELS[q]]));
+  const done = order.length - pending.length;
+
+  return (
+    <div className="border rounded-2xl bg-white shadow-sm">
+      <div className="p-3 border-b flex flex-wrap items-center gap-3">
+        {queue.length === 0 ? (
+          <span className="text-sm font-medium text-green-700">All bouts complete</span>
+        ) : (
+          queue.map((bt, q) => (
+            <button
+              key={bt.n}
+              onClick={() => onOpen(bt)}
+              className={`px-3 py-2 rounded-xl border text-sm text-left shadow-sm ${q === 0 ? "bg-black text-white" : "bg-white hover:bg-gray-50"}`}
+            >
+              <div className="text-xs opacity-70">{QUEUE_LABELS[q]} • Bout {bt.n}</div>
+              <div className="font-medium">
+                {names[bt.left]} <span className="opacity-60">vs</span> {names[bt.right]}
+              </div>
+            </button>
+          ))
+        )}
+        {queue.length > 0 && onFence && (
+          <button
+            onClick={() => onFence(queue[0])}
+            className="px-3 py-2 rounded-xl bg-green-600 hover:bg-green-500 text-white text-sm font-medium shadow-sm"
+            title="Score the current bout live with the bout clock"
+          >
+            Fence ▶
+          </button>
+        )}
+        <span className="ml-auto text-xs text-gray-500 tabular-nums">{done}/{order.length} bouts</span>
+      </div>
+      <ol className="divide-y">
+        {order.map((bt) => {
+          const complete = isComplete(bt);
+          const label = status.get(bt.n);
+          return (
+            <li key={bt.n}>
+              <button
+                onClick={() => onOpen(bt)}
+                className={`w-full px-3 py-2 flex items-center gap-3 text-sm text-left hover:bg-gray-50 ${complete ? "text-gray-400" : ""}`}
+              >
+                <span className="w-8 text-xs tabular-nums text-gray-500">{bt.n}.</span>
+                <span className="w-5">{complete ? "✓" : ""}</span>
+                <span className="tabular-nums w-14 text-xs text-gray-500">{bt.left + 1} – {bt.right + 1}</span>
+                <span className={complete ? "line-through" : "font-medium"}>
+                  {names[bt.left]} vs {names[bt.right]}
+                </span>
+                {bt.k > 0 && <span className="text-xs text-gray-500">(round {bt.k + 1})</span>}
+                {label && <span className="ml-auto text-xs px-2 py-0.5 rounded bg-gray-100 text-gray-700">{label}</span>}
+              </button>
+            </li>
+          );
+        })}
+      </ol>
+    </div>
+  );
+}
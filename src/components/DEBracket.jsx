@@ -0,0 +1,100 @@
+import { sideScore, boutWinner } from '../lib/bout.js';
+
+/**
+ * Direct elimination tableau, one column per round plus the bronze bout.
+ * Clicking a match whose two fencers are known opens it in the bout editor;
+ * without `onGenerate` and `onOpen` the tableau is shown read-only.
+ */
+export default function DEBracket({ bracket, resolved, qualifiedCount, onGenerate, onOpen }) {
+  return (
+    <section>
+      <div className="mb-3 flex flex-wrap items-center gap-3 print:hidden">
+        <h2 className="text-lg font-semibold">Direct elimination</h2>
+        {bracket && <span className="text-sm text-gray-600">T{bracket.size} • {bracket.entries.length} fencers</span>}
+        {onGenerate && (
+          <button
+            onClick={onGenerate}
+            disabled={qualifiedCount < 2}
+            className="ml-auto px-3 py-2 rounded-xl border bg-white hover:bg-gray-50 text-sm shadow-sm disabled:opacity-40"
+            title="Build the tableau from the fencers promoted in Overall results"
+          >
+            {bracket ? "Regenerate tableau" : "Generate tableau"} ({qualifiedCount} qualified)
+          </button>
+        )}
+        {bracket && onGenerate && (
+          <button onClick={() => window.print()} className="px-3 py-2 rounded-xl bg-black text-white text-sm shadow-sm">
+            Print bracket
+          </button>
+        )}
+      </div>
+
+      {!bracket ? (
+        <div className="border rounded-2xl bg-white shadow-sm p-6 text-sm text-gray-500">
+          No tableau yet. Set the promotion cut in Overall results, then generate the tableau.
+        </div>
+      ) : (
+        <>
+          <h2 className="hidden print:block text-xl font-semibold mb-3">Direct elimination — T{bracket.size}</h2>
+          <div className="overflow-auto border rounded-2xl bg-white shadow-sm p-4 print:border-0 print:shadow-none print:overflow-visible">
+            <div className="flex gap-4 min-w-max">
+              {resolved.rounds.map((round, r) => (
+                <div key={r} className="flex flex-col w-56">
+                  <div className="text-xs font-semibold text-gray-600 text-center mb-2">{round.label}</div>
+                  <div className="flex-1 flex flex-col justify-around gap-2">
+                    {round.map((m) => (
+                      <MatchCard key={m.key} match={m} onOpen={onOpen} />
+                    ))}
+                  </div>
+                </div>
+              ))}
+              {resolved.third && (
+                <div className="flex flex-col w-56 justify-end">
+                  <div className="text-xs font-semibold text-gray-600 text-center mb-2">Third place</div>
+                  <MatchCard match={resolved.third} onOpen={onOpen} />
+                </div>
+              )}
+            </div>
+          </div>
+
+          <div className="mt-4 grid grid-cols-2 sm:grid-cols-4 gap-2">
+            {resolved.medals.map(({ place, entry }) => (
+              <div key={place} className="border rounded-xl bg-white shadow-sm p-3 text-sm">
+                <div className="text-xs text-gray-500">{ordinal(place)}</div>
+                <div className="font-medium">{entry ? entry.name : entry === null ? "—" : "TBD"}</div>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </section>
+  );
+}
+
+function ordinal(n) {
+  return ["1st", "2nd", "3rd", "4th"][n - 1];
+}
+
+function MatchCard({ match, onOpen }) {
+  const { a, b, bout, ready } = match;
+  const canOpen = ready && !!onOpen;
+  const winner = ready ? boutWinner(bout) : "";
+  const side = (entry, key, score) => (
+    <div className={`flex items-center gap-2 px-2 py-1 ${winner === key ? "font-semibold" : winner ? "text-gray-400" : ""}`}>
+      <span className="w-6 text-xs text-gray-500 tabular-nums">{entry ? entry.seed : ""}</span>
+      <span className="flex-1 truncate">{entry ? entry.name : entry === null ? "bye" : "—"}</span>
+      <span className="tabular-nums">{ready && score !== null ? score : ""}</span>
+    </div>
+  );
+  const fenced = bout.a !== "" || bout.b !== "";
+  return (
+    <button
+      onClick={() => canOpen && onOpen(match)}
+      disabled={!canOpen}
+      title={match.stale ? "An earlier result changed, so this bout is to be fenced again" : undefined}
+      className={`w-full text-left text-sm border rounded-xl bg-white divide-y ${match.stale ? "border-amber-400" : ""} ${canOpen ? "hover:bg-gray-50" : ready ? "" : "opacity-70"}`}
+    >
+      {side(a, "a", fenced ? sideScore(bout, "a") : null)}
+      {side(b, "b", fenced ? sideScore(bout, "b") : null)}
+    </button>
+  );
+}
@@ -0,0 +1,83 @@
+import { summarizeDiscipline } from '../lib/discipline.js';
+
+/**
+ * Per-fencer discipline report: card totals followed by the full card and
+ * penalty history.
+ */
+export default function DisciplineReport({ events, onExport }) {
+  const summary = summarizeDiscipline(events);
+
+  return (
+    <section className="space-y-6">
+      <div>
+        <div className="mb-2 flex items-center gap-3">
+          <h2 className="text-lg font-semibold">Discipline report</h2>
+          <button
+            onClick={onExport}
+            disabled={events.length === 0}
+            className="ml-auto px-3 py-2 rounded-xl bg-black text-white text-sm shadow-sm disabled:opacity-40"
+            title="Download the card and penalty history as CSV"
+          >
+            Export CSV
+          </button>
+        </div>
+        <div className="overflow-auto border rounded-2xl bg-white shadow-sm">
+          <table className="min-w-max w-full text-sm">
+            <thead>
+              <tr>
+                {["Fencer", "Yellow", "Red", "Black", "Penalty touches"].map((h, idx) => (
+                  <th key={h} className={`p-3 ${idx === 0 ? "text-left" : "text-center"} bg-gray-100 border-b ${idx > 0 ? "border-l" : ""}`}>{h}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {summary.length === 0 && (
+                <tr>
+                  <td colSpan={5} className="p-3 border-t text-gray-500">No cards or penalties recorded.</td>
+                </tr>
+              )}
+              {summary.map((r) => (
+                <tr key={r.fencer} className={r.B > 0 ? "text-red-700" : ""}>
+                  <td className="p-3 border-t font-medium">{r.fencer}</td>
+                  {[r.Y, r.R, r.B, r.P].map((v, c) => (
+                    <td key={c} className="p-3 text-center border-t border-l tabular-nums">{v || ""}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {events.length > 0 && (
+        <div>
+          <h3 className="mb-2 font-semibold">History</h3>
+          <div className="overflow-auto border rounded-2xl bg-white shadow-sm">
+            <table className="min-w-max w-full text-sm">
+              <thead>
+                <tr>
+                  {["Fencer", "Sanction", "Opponent", "Pool / round", "Bout", "Referee", "Time"].map((h, idx) => (
+                    <th key={h} className={`p-3 text-left bg-gray-100 border-b ${idx > 0 ? "border-l" : ""}`}>{h}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {events.map((e, k) => (
+                  <tr key={k}>
+                    <td className="p-3 border-t">{e.fencer}</td>
+                    <td className="p-3 border-t border-l">{e.kind}</td>
+                    <td className="p-3 border-t border-l">{e.opponent}</td>
+                    <td className="p-3 border-t border-l">{e.context}</td>
+                    <td className="p-3 border-t border-l tabular-nums">{e.bout}</td>
+                    <td className="p-3 border-t border-l">{e.referee}</td>
+                    <td className="p-3 border-t border-l text-xs text-gray-500">{e.at ? new Date(e.at).toLocaleTimeString() : ""}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,228 @@
+import { useState, useEffect, useRef } from 'react';
+import { sideScore, otherSide, boutWinner, stepBout, addCard, boutCards, CARD_TYPES } from '../lib/bout.js';
+import { makeClock, formatClock, phaseLabel, tickClock, drawPriority } from '../lib/clock.js';
+
+const CARD_STYLES = {
+  Y: "bg-yellow-300 text-black",
+  R: "bg-red-500 text-white",
+  B: "bg-black text-white border border-white",
+};
+
+const SHORTCUTS = [
+  ["Space", "Fence / Halt"],
+  ["← / A", "Touch left"],
+  ["→ / L", "Touch right"],
+  ["Shift + key", "Take back touch"],
+  ["D", "Double touch"],
+  ["1 / 2", "Yellow / red left"],
+  ["9 / 0", "Yellow / red right"],
+  ["P", "Draw priority"],
+  ["Esc", "Close"],
+];
+
+function clockTime() {
+  return new Date().toTimeString().slice(0, 5);
+}
+
+/**
+ * Full-screen live scoring of one bout with the bout clock.
+ * `leftSide` says which side of the stored bout ("a" / "b") is fencing on the
+ * left; every touch, card and time is written back through `onChange(bout)`.
+ */
+export default function FenceMode({ title, nameLeft, nameRight, leftSide, bout, maxTouches, clockConfig, onChange, onBlackCard, onClose }) {
+  const [clock, setClock] = useState(() => makeClock(clockConfig));
+  const [note, setNote] = useState("");
+  const lastTick = useRef(0);
+  const T = maxTouches;
+  const rightSide = otherSide(leftSide);
+  const tied = sideScore(bout, "a") === sideScore(bout, "b");
+
+  // Run the clock; priority running out gives the bout to the priority holder
+  useEffect(() => {
+    if (!clock.running) return;
+    const id = setTimeout(() => {
+      const now = Date.now();
+      const next = tickClock(clock, now - lastTick.current, clockConfig, tied);
+      lastTick.current = now;
+      setClock(next);
+      if (clock.phase === "priority" && next.phase === "done" && !boutWinner(bout)) {
+        onChange({ ...bout, w: clock.priority, priority: true, end: clockTime() });
+      } else if (clock.phase !== "done" && next.phase === "done") {
+        onChange({ ...bout, end: clockTime() });
+      }
+    }, 100);
+    return () => clearTimeout(id);
+  }, [clock, clockConfig, tied, bout, onChange]);
+
+  const toggleClock = () => {
+    if (clock.phase === "done") return;
+    if (clock.running) {
+      setClock({ ...clock, running: false });
+      return;
+    }
+    lastTick.current = Date.now();
+    const priority = clock.phase === "priority" && !clock.priority ? drawPriority() : clock.priority;
+    setClock({ ...clock, running: true, priority });
+    if (!bout.start) onChange({ ...bout, start: clockTime() });
+  };
+
+  const finish = (next) => {
+    setClock({ ...clock, phase: "done", running: false });
+    onChange({ ...next, end: next.end || clockTime() });
+  };
+
+  // A touch that reaches the limit, or any decisive touch in the priority minute, ends the bout
+  const score = (sides, delta) => {
+    setNote("");
+    let next = bout;
+    for (const side of sides) {
+      next = stepBout(next, side, delta, T);
+      if (!next) return;
+    }
+    if (!next.start) next = { ...next, start: clockTime() };
+    const decided = sideScore(next, "a") !== sideScore(next, "b");
+    if (delta > 0 && (sides.some((s) => sideScore(next, s) >= T) || (clock.phase === "priority" && decided))) {
+      finish(next);
+      return;
+    }
+    onChange(next);
+  };
+
+  // The last touch must go to one fencer: a double that would take both to T
+  // leaves the bout level with no winner, so it is annulled and the bout goes on
+  const double = (delta) => {
+    if (delta > 0 && ["a", "b"].every((s) => sideScore(bout, s) + 1 >= T)) {
+      setNote(`Double touch annulled at ${sideScore(bout, leftSide)}–${sideScore(bout, rightSide)}: fence on for the last touch`);
+      return;
+    }
+    score(["a", "b"], delta);
+  };
+
+  const card = (side, type) => {
+    if (type === "B") {
+      // The caller confirms exclusion from a pool before the card is recorded;
+      // a DE bout is simply lost
+      const name = side === leftSide ? nameLeft : nameRight;
+      if (onBlackCard ? !onBlackCard(side) : !confirm(`Black card to ${name}?`)) return;
+      finish(addCard(bout, side, type, T));
+      return;
+    }
+    const next = addCard(bout, side, type, T);
+    if (type === "R" && sideScore(next, otherSide(side)) >= T) {
+      finish(next);
+      return;
+    }
+    onChange(next);
+  };
+
+  const pickPriority = () => {
+    if (clock.phase !== "priority" || clock.priority) return;
+    setClock({ ...clock, priority: drawPriority() });
+  };
+
+  // Keyboard shortcuts for the referee's table
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.ctrlKey || e.metaKey || e.altKey) return;
+      const delta = e.shiftKey ? -1 : 1;
+      const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+      if (key === " ") toggleClock();
+      else if (key === "ArrowLeft" || key === "a") score([leftSide], delta);
+      else if (key === "ArrowRight" || key === "l") score([rightSide], delta);
+      else if (key === "d") double(delta);
+      else if (key === "1" || key === "2") card(leftSide, key === "1" ? "Y" : "R");
+      else if (key === "9" || key === "0") card(rightSide, key === "9" ? "Y" : "R");
+      else if (key === "p") pickPriority();
+      else if (key === "Escape") onClose();
+      else return;
+      e.preventDefault();
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  });
+
+  const winner = boutWinner(bout);
+  const done = clock.phase === "done";
+
+  const fencer = (side, name) => (
+    <div className={`flex-1 flex flex-col items-center justify-center gap-4 p-4 ${winner === side && done ? "bg-green-900/40" : ""}`}>
+      <div className="text-2xl sm:text-3xl font-semibold text-center flex items-center gap-2">
+        {name}
+        {clock.priority === side && <span className="text-xs px-2 py-1 rounded bg-white text-black">Priority</span>}
+      </div>
+      <button
+        onClick={() => score([side], 1)}
+        className="w-56 h-56 sm:w-72 sm:h-72 rounded-3xl bg-white/10 hover:bg-white/20 text-[8rem] sm:text-[10rem] leading-none font-bold tabular-nums"
+      >
+        {sideScore(bout, side)}
+      </button>
+      <div className="flex items-center gap-2">
+        <button onClick={() => score([side], -1)} className="px-3 py-2 rounded-xl border border-white/30 hover:bg-white/10 text-sm">
+          −1
+        </button>
+        {Object.entries(CARD_TYPES).map(([type, label]) => (
+          <button
+            key={type}
+            onClick={() => card(side, type)}
+            title={`${label} card`}
+            className={`w-10 h-10 rounded-lg font-semibold ${CARD_STYLES[type]}`}
+          >
+            {type}
+          </button>
+        ))}
+      </div>
+      <div className="flex gap-1 min-h-6">
+        {boutCards(bout).filter((c) => c.side === side).map((c, k) => (
+          <span key={k} className={`w-4 h-6 rounded-sm ${CARD_STYLES[c.type]}`} title={CARD_TYPES[c.type]} />
+        ))}
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="fixed inset-0 z-50 bg-gray-950 text-white flex flex-col">
+      <div className="flex items-center justify-between p-4">
+        <div className="text-sm text-white/70">{title} • bout to {T}</div>
+        <button onClick={onClose} className="rounded-full w-10 h-10 flex items-center justify-center border border-white/30 hover:bg-white/10">✕</button>
+      </div>
+
+      <div className="flex-1 flex flex-col sm:flex-row items-stretch">
+        {fencer(leftSide, nameLeft)}
+        <div className="flex flex-col items-center justify-center gap-3 p-4">
+          <div className="text-sm uppercase tracking-wide text-white/70">{phaseLabel(clock, clockConfig)}</div>
+          <div className={`text-7xl sm:text-8xl font-bold tabular-nums ${clock.running ? "text-green-400" : "text-red-400"}`}>
+            {formatClock(clock.remaining)}
+          </div>
+          <button
+            onClick={toggleClock}
+            disabled={done}
+            className={`px-8 py-4 rounded-2xl text-xl font-semibold disabled:opacity-40 ${clock.running ? "bg-red-600 hover:bg-red-500" : "bg-green-600 hover:bg-green-500"}`}
+          >
+            {clock.running ? "Halt" : "Fence"}
+          </button>
+          <button onClick={() => double(1)} className="px-4 py-2 rounded-xl border border-white/30 hover:bg-white/10 text-sm">
+            Double touch
+          </button>
+          {note && <div className="max-w-xs text-center text-sm text-amber-300">{note}</div>}
+          {clock.phase === "priority" && !clock.priority && (
+            <button onClick={pickPriority} className="px-4 py-2 rounded-xl bg-white text-black text-sm">
+              Draw priority
+            </button>
+          )}
+          {done && (
+            <div className="text-lg font-medium">
+              {winner ? `${winner === leftSide ? nameLeft : nameRight} wins${bout.priority ? " on priority" : ""}` : "No winner recorded"}
+            </div>
+          )}
+        </div>
+        {fencer(rightSide, nameRight)}
+      </div>
+
+      <div className="p-3 flex flex-wrap justify-center gap-x-4 gap-y-1 text-xs text-white/60">
+        {SHORTCUTS.map(([keys, what]) => (
+          <span key={keys}><span className="font-mono text-white/80">{keys}</span> {what}</span>
+        ))}
+      </div>
+    </div>
+  );
+}
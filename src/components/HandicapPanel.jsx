@@ -0,0 +1,79 @@
+import { useState } from 'react';
+import { parseTouches } from '../lib/handicap.js';
+
+/**
+ * Handicap settings: the club's handicap table, whether new pools use it, and
+ * the handicap switch of the pool being edited.
+ */
+export default function HandicapPanel({ pool, handicaps, onChange, onPoolToggle, onApplyAll }) {
+  const { table } = handicaps;
+  const [touchesText, setTouchesText] = useState(table.touches.join(", "));
+  const touchesOk = parseTouches(touchesText) !== null;
+  const applied = pool.handicap?.enabled ? pool.handicap.table : null;
+
+  const setTable = (updates) => onChange({ ...handicaps, table: { ...table, ...updates } });
+
+  return (
+    <div className="mb-4 border rounded-2xl bg-white shadow-sm print:hidden">
+      <div className="p-3 flex flex-wrap items-end gap-3 text-sm">
+        <div>
+          <label className="block text-xs text-gray-600 mb-1">Handicap table</label>
+          <input
+            value={table.name}
+            onChange={(e) => setTable({ name: e.target.value })}
+            className="w-48 border rounded-xl px-3 py-2 bg-white"
+          />
+        </div>
+        <div>
+          <label className="block text-xs text-gray-600 mb-1">Grade step</label>
+          <input
+            type="number"
+            min={0.1}
+            step="any"
+            value={table.step}
+            onChange={(e) => Number(e.target.value) > 0 && setTable({ step: Number(e.target.value) })}
+            className="w-20 border rounded-xl px-3 py-2 bg-white"
+          />
+        </div>
+        <div>
+          <label className="block text-xs text-gray-600 mb-1">Touches given for 0, 1, 2… steps apart</label>
+          <input
+            value={touchesText}
+            onChange={(e) => {
+              setTouchesText(e.target.value);
+              const touches = parseTouches(e.target.value);
+              if (touches) setTable({ touches });
+            }}
+            className={`w-48 border rounded-xl px-3 py-2 bg-white ${touchesOk ? "" : "border-red-400"}`}
+            placeholder="0, 1, 2, 3"
+          />
+        </div>
+        <label className="flex items-center gap-2 py-2">
+          <input type="checkbox" checked={handicaps.enabled} onChange={(e) => onChange({ ...handicaps, enabled: e.target.checked })} />
+          New pools use handicaps
+        </label>
+        <button
+          onClick={onApplyAll}
+          className="px-3 py-2 rounded-xl border bg-white hover:bg-gray-50 text-sm shadow-sm"
+          title="Switch handicaps on in every pool with this table"
+        >
+          Apply to all pools
+        </button>
+      </div>
+      <div className="border-t p-3 flex flex-wrap items-center gap-3 text-sm">
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={!!applied} onChange={(e) => onPoolToggle(e.target.checked)} />
+          Handicaps in {pool.name}
+        </label>
+        <span className="text-xs text-gray-500">
+          {applied
+            ? `Applied: ${applied.name} (${applied.touches.join(", ")} per ${applied.step} grade${applied.step === 1 ? "" : "s"})`
+            : "Off — handicaps are entered by hand"}
+        </span>
+        <span className="text-xs text-gray-500 ml-auto">
+          Higher grade is stronger. Bouts already fenced keep their handicaps.
+        </span>
+      </div>
+    </div>
+  );
+}
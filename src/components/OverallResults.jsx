@@ -0,0 +1,77 @@
+/**
+ * Overall results after the pool round.
+ * Lists every fencer from every pool in seeding order with the promotion cut applied.
+ */
+export default function OverallResults({ rows, promotion, onPromotionChange, onExport }) {
+  const promotedCount = rows.filter((r) => r.promoted).length;
+
+  return (
+    <section>
+      <div className="mb-3 flex flex-wrap items-center gap-3">
+        <h2 className="text-lg font-semibold">Overall results</h2>
+        <span className="h-5 w-px bg-gray-300" />
+        <label className="text-sm text-gray-700">Promotion cut</label>
+        <select
+          value={promotion.mode}
+          onChange={(e) => onPromotionChange({ ...promotion, mode: e.target.value })}
+          className="border rounded-xl px-3 py-2 text-sm bg-white shadow-sm"
+        >
+          <option value="percent">Top %</option>
+          <option value="count">Top N</option>
+        </select>
+        <input
+          type="number"
+          min={0}
+          max={promotion.mode === "percent" ? 100 : undefined}
+          value={promotion.value}
+          onChange={(e) => onPromotionChange({ ...promotion, value: Math.max(0, Number(e.target.value) || 0) })}
+          className="w-20 border rounded-xl px-3 py-2 text-sm bg-white shadow-sm"
+        />
+        <span className="text-sm text-gray-600">
+          {promotedCount} of {rows.length} promoted
+        </span>
+        <button
+          onClick={onExport}
+          className="ml-auto px-3 py-2 rounded-xl bg-black text-white text-sm shadow-sm"
+          title="Download overall seeding as CSV"
+        >
+          Export CSV
+        </button>
+      </div>
+      <div className="overflow-auto border rounded-2xl bg-white shadow-sm">
+        <table className="min-w-max w-full text-sm">
+          <thead>
+            <tr>
+              {["Seed", "Name", "Pool", "V", "M", "V/M", "HS", "HR", "IND", "Status"].map((h, idx) => (
+                <th key={h} className={`p-3 ${idx < 3 ? "text-left" : "text-center"} bg-gray-100 border-b ${idx > 0 ? "border-l" : ""}`}>{h}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((r, k) => {
+              const cutLine = r.promoted && rows[k + 1] && !rows[k + 1].promoted;
+              return (
+                <tr key={`${r.poolId}-${r.idx}`} className={`${r.promoted ? "" : "text-gray-400"} ${cutLine ? "border-b-2 border-red-400" : ""}`}>
+                  <td className="p-3 border-t tabular-nums">
+                    {r.Place}{r.tied ? "T" : ""}
+                  </td>
+                  <td className="p-3 border-t border-l">{r.name}</td>
+                  <td className="p-3 border-t border-l">{r.poolName}</td>
+                  {[r.V, r.M, r.ratio, r.HS, r.HR, r.IND].map((v, c) => (
+                    <td key={c} className={`p-3 text-center border-t border-l tabular-nums ${c === 0 ? "font-semibold" : ""}`}>{v}</td>
+                  ))}
+                  <td className="p-3 text-center border-t border-l">
+                    {r.promoted ? "Qualified" : "Eliminated"}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      <p className="mt-4 text-xs text-gray-500">
+        Ranked by V/M, then IND, then HS across all pools • T = tied • Fencers tied on the cut line are all promoted unless a barrage settles the tie
+      </p>
+    </section>
+  );
+}
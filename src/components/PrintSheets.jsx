@@ -0,0 +1,218 @@
+import { boutNotation } from '../lib/bout.js';
+import { generateBoutOrder } from '../lib/boutOrder.js';
+import { getBout, pairBouts } from '../lib/pool.js';
+import { computePoolStandings } from '../lib/standings.js';
+
+/**
+ * Official print layouts, shown only when printing
+ * - "blank": the pre-event pool sheet with names, clubs, an empty grid and the
+ *   bout order
+ * - "results": the completed sheet with the V/D grid, indicators, places and
+ *   referee and fencer signature lines
+ * - "slips": one score slip per bout for the piste, with signature lines
+ * - One pool per page; slips never break across pages
+ */
+
+// The bouts of a pool in official order, fencers out of the pool left off
+function orderedBouts(pool) {
+  const { fencers } = pool;
+  if (fencers.length < 2) return [];
+  return generateBoutOrder(fencers.length, pool.boutsPer)
+    .filter((o) => !fencers[o.left].status && !fencers[o.right].status)
+    .map((o) => ({ ...o, bout: getBout(pool, fencers[o.left].id, fencers[o.right].id, o.k) }));
+}
+
+// Referees named on the pool's bouts, for the signature line
+function poolReferees(pool) {
+  const names = Object.values(pool.bouts).flat().map((bt) => bt.referee?.trim()).filter(Boolean);
+  return [...new Set(names)].join(", ");
+}
+
+function SignatureLine({ label, name = "" }) {
+  return (
+    <div className="flex-1 min-w-0">
+      <div className="h-8 border-b border-gray-900 text-sm flex items-end">{name}</div>
+      <div className="text-xs text-gray-600 mt-1">{label}</div>
+    </div>
+  );
+}
+
+function SheetHeader({ heading, pool, subtitle }) {
+  return (
+    <div className="mb-3 flex items-baseline justify-between gap-4 border-b-2 border-gray-900 pb-2">
+      <div>
+        <div className="text-sm text-gray-600">{heading}</div>
+        <h2 className="text-2xl font-bold">{pool.name}</h2>
+      </div>
+      <div className="text-right text-sm">
+        <div>{subtitle}</div>
+        <div>{pool.date} • {pool.maxTouches} touches{pool.boutsPer > 1 ? ` • ${pool.boutsPer} bouts per pairing` : ""}</div>
+      </div>
+    </div>
+  );
+}
+
+function PoolSheet({ pool, clubOf, heading, subtitle, filled, barrages }) {
+  const { fencers } = pool;
+  const standings = filled ? computePoolStandings(pool, barrages) : null;
+  const order = orderedBouts(pool);
+  const cell = (i, j) =>
+    pairBouts(pool, fencers[i].id, fencers[j].id)
+      .map((bt) => boutNotation(bt, "a"))
+      .filter(Boolean)
+      .join(" ");
+  const td = "border border-gray-900 p-1 text-center";
+  return (
+    <section className="break-before-page first:break-before-auto">
+      <SheetHeader heading={heading} pool={pool} subtitle={subtitle} />
+      <table className="w-full border-collapse text-sm">
+        <thead>
+          <tr>
+            <th className={`${td} w-8`}>#</th>
+            <th className={`${td} text-left`}>{pool.team ? "Team" : "Name"}</th>
+            <th className={`${td} text-left`}>Club</th>
+            {fencers.map((_, j) => (
+              <th key={j} className={`${td} w-11`}>{j + 1}</th>
+            ))}
+            {["V", "HS", "HR", "IND", "Pl"].map((h) => (
+              <th key={h} className={`${td} w-11`}>{h}</th>
+            ))}
+            {filled && <th className={`${td} w-40`}>Signature</th>}
+          </tr>
+        </thead>
+        <tbody>
+          {fencers.map((f, i) => {
+            const r = standings?.[i];
+            return (
+              <tr key={f.id} className={f.status ? "text-gray-500" : ""}>
+                <td className={td}>{i + 1}</td>
+                <td className={`${td} text-left font-medium whitespace-nowrap ${f.status ? "line-through" : ""}`}>{f.name}</td>
+                <td className={`${td} text-left`}>{clubOf(f)}</td>
+                {fencers.map((_, j) => (
+                  <td key={j} className={`${td} h-9 tabular-nums ${i === j ? "bg-gray-900" : ""}`}>
+                    {filled && i !== j && !f.status && !fencers[j].status ? cell(i, j) : ""}
+                  </td>
+                ))}
+                {r ? (
+                  <>
+                    <td className={`${td} tabular-nums font-semibold`}>{r.status ? "" : r.V}</td>
+                    <td className={`${td} tabular-nums`}>{r.status ? "" : r.HS}</td>
+                    <td className={`${td} tabular-nums`}>{r.status ? "" : r.HR}</td>
+                    <td className={`${td} tabular-nums`}>{r.status ? "" : r.IND}</td>
+                    <td className={`${td} tabular-nums font-semibold`}>{r.Place}{r.tie ? "T" : ""}</td>
+                    <td className={td} />
+                  </>
+                ) : (
+                  ["V", "HS", "HR", "IND", "Pl"].map((h) => <td key={h} className={td} />)
+                )}
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      {order.length > 0 && (
+        <div className="mt-4">
+          <div className="text-sm font-semibold mb-1">Bout order</div>
+          <ol className="columns-4 gap-6 text-sm">
+            {order.map((o) => (
+              <li key={o.n} className="tabular-nums break-inside-avoid">
+                <span className="inline-block w-8 text-gray-600">{o.n}.</span>
+                {o.left + 1} – {o.right + 1}
+                {filled && o.bout.referee ? <span className="text-gray-500"> • {o.bout.referee}</span> : ""}
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+
+      <div className="mt-8 flex gap-8 max-w-4xl">
+        <SignatureLine label="Referee" name={filled ? poolReferees(pool) : ""} />
+        <SignatureLine label="Referee signature" />
+        {filled && <SignatureLine label="Directoire technique" />}
+      </div>
+    </section>
+  );
+}
+
+function BoutSlip({ pool, o, clubOf, subtitle }) {
+  const { fencers } = pool;
+  const side = (f, pos) => (
+    <div className="flex items-center gap-2">
+      <span className="w-6 text-gray-600 tabular-nums">{pos + 1}</span>
+      <span className="flex-1 min-w-0">
+        <span className="font-semibold">{f.name}</span>
+        {clubOf(f) && <span className="text-gray-600"> • {clubOf(f)}</span>}
+      </span>
+      <span className="w-12 h-10 border border-gray-900" title="Score" />
+      <span className="w-8 h-10 border border-gray-900 text-xs text-gray-500 flex items-start justify-center">V</span>
+    </div>
+  );
+  return (
+    <div className="break-inside-avoid border border-gray-900 rounded p-3 text-sm space-y-2">
+      <div className="flex justify-between gap-2 text-xs text-gray-600">
+        <span>{subtitle}</span>
+        <span>Piste {o.bout.piste || "____"}</span>
+      </div>
+      <div className="flex justify-between font-semibold">
+        <span>{pool.name}</span>
+        <span>Bout {o.n}{pool.boutsPer > 1 ? ` (round ${o.k + 1})` : ""}</span>
+      </div>
+      {side(fencers[o.left], o.left)}
+      {side(fencers[o.right], o.right)}
+      <div className="flex gap-4 pt-2">
+        <SignatureLine label="Referee" name={o.bout.referee} />
+        <SignatureLine label={`Signature ${o.left + 1}`} />
+        <SignatureLine label={`Signature ${o.right + 1}`} />
+      </div>
+    </div>
+  );
+}
+
+function SlipPage({ pool, clubOf, subtitle }) {
+  const order = orderedBouts(pool);
+  return (
+    <section className="break-before-page first:break-before-auto">
+      <h2 className="mb-3 text-xl font-bold">{pool.name} — bout slips</h2>
+      {order.length === 0 ? (
+        <p className="text-sm">No bouts to fence.</p>
+      ) : (
+        <div className="grid grid-cols-2 gap-3">
+          {order.map((o) => (
+            <BoutSlip key={o.n} pool={pool} o={o} clubOf={clubOf} subtitle={subtitle} />
+          ))}
+        </div>
+      )}
+    </section>
+  );
+}
+
+/**
+ * `kind` is "blank", "results" or "slips"; `heading` and `subtitle` name the tournament
+ * and the event on every page. Clubs come from the roster entries the pool
+ * fencers were drawn from.
+ */
+export default function PrintSheets({ kind, pools, roster, barrages = [], heading, subtitle }) {
+  const rosterById = new Map(roster.map((f) => [f.id, f]));
+  const clubOf = (f) => rosterById.get(f.rosterId)?.club ?? "";
+  return (
+    <div className="hidden print:block bg-white text-gray-900">
+      <style>{`@page { size: A4 ${kind === "slips" ? "portrait" : "landscape"}; margin: 12mm; }`}</style>
+      {pools.map((pool) =>
+        kind === "slips" ? (
+          <SlipPage key={pool.id} pool={pool} clubOf={clubOf} subtitle={subtitle} />
+        ) : (
+          <PoolSheet
+            key={pool.id}
+            pool={pool}
+            clubOf={clubOf}
+            heading={heading}
+            subtitle={subtitle}
+            filled={kind === "results"}
+            barrages={barrages}
+          />
+        )
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,62 @@
+import { CRITERIA, RANKING_PROFILES, rankingCriteria } from '../lib/ranking.js';
+
+/**
+ * Ranking profile picker for a pool; the custom profile is an ordered list of
+ * criteria that can be added, removed and moved up.
+ */
+export default function RankingSettings({ ranking, onChange }) {
+  const criteria = rankingCriteria(ranking);
+  const custom = ranking?.profile === "custom";
+  const unused = Object.keys(CRITERIA).filter((c) => !criteria.includes(c));
+
+  const setCriteria = (next) => onChange({ profile: "custom", criteria: next });
+
+  const move = (k) => {
+    const next = [...criteria];
+    [next[k - 1], next[k]] = [next[k], next[k - 1]];
+    setCriteria(next);
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 print:hidden">
+      <label className="text-sm text-gray-700">Ranking</label>
+      <select
+        value={ranking?.profile ?? "fie"}
+        onChange={(e) => {
+          const profile = e.target.value;
+          onChange({ profile, criteria: RANKING_PROFILES[profile].criteria ?? criteria });
+        }}
+        className="border rounded-xl px-3 py-2 text-sm bg-white shadow-sm"
+      >
+        {Object.entries(RANKING_PROFILES).map(([key, p]) => (
+          <option key={key} value={key}>{p.label}</option>
+        ))}
+      </select>
+      {criteria.map((c, k) => (
+        <span key={c} className="flex items-center gap-1 px-2 py-1 rounded-lg bg-gray-100 text-xs">
+          {k + 1}. {CRITERIA[c].label}
+          {custom && k > 0 && (
+            <button onClick={() => move(k)} className="px-1 hover:text-black text-gray-500" title="Move up">↑</button>
+          )}
+          {custom && criteria.length > 1 && (
+            <button onClick={() => setCriteria(criteria.filter((x) => x !== c))} className="px-1 text-gray-500 hover:text-red-600" title="Remove">
+              ✕
+            </button>
+          )}
+        </span>
+      ))}
+      {custom && unused.length > 0 && (
+        <select
+          value=""
+          onChange={(e) => e.target.value && setCriteria([...criteria, e.target.value])}
+          className="border rounded-xl px-2 py-1 text-xs bg-white shadow-sm"
+        >
+          <option value="">+ Add criterion</option>
+          {unused.map((c) => (
+            <option key={c} value={c}>{CRITERIA[c].label}</option>
+          ))}
+        </select>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,162 @@
+import { boutWinner, sideScore } from '../lib/bout.js';
+import {
+  TEAM_SIZE,
+  SUBSTITUTE,
+  TEAM_TOUCHES,
+  memberName,
+  relayOf,
+  relayTotals,
+  legTarget,
+  setLegTouches,
+  substitutionOf,
+  substitute,
+} from '../lib/team.js';
+
+function touchesValue(v) {
+  if (v === "") return "";
+  const n = Math.floor(Number(v));
+  return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+/**
+ * Pop-up editor for a team relay match: touches scored by each team in each of
+ * the nine legs, and each team's substitution. Every change is reported as a
+ * whole new bout through `onChange(bout)`.
+ */
+export default function RelayEditor({ title, teamA, teamB, bout, onChange, onClose }) {
+  const relay = relayOf(bout);
+  const totals = relayTotals(relay);
+  const tied = bout.a !== "" && sideScore(bout, "a") === sideScore(bout, "b");
+  const winner = boutWinner(bout);
+
+  const setLeg = (k, side, v) => {
+    const value = touchesValue(v);
+    if (value === null) return;
+    const leg = relay.legs[k];
+    const next = setLegTouches(bout, k, side === "a" ? value : leg.ta, side === "b" ? value : leg.tb);
+    if (next) onChange(next);
+  };
+
+  const subControls = (side, team) => {
+    const sub = substitutionOf(relay, side);
+    return (
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <span className="font-medium">{team.name}</span>
+        <span className="text-gray-600">substitute {memberName(team, SUBSTITUTE)} in for</span>
+        <select
+          value={sub ? sub.replaces : ""}
+          onChange={(e) => onChange(substitute(bout, side, sub?.leg ?? 0, e.target.value === "" ? null : Number(e.target.value)))}
+          className="border rounded-lg px-2 py-1 bg-white"
+        >
+          <option value="">nobody</option>
+          {Array.from({ length: TEAM_SIZE }, (_, m) => (
+            <option key={m} value={m}>{memberName(team, m)}</option>
+          ))}
+        </select>
+        {sub && (
+          <>
+            <span className="text-gray-600">from leg</span>
+            <select
+              value={sub.leg}
+              onChange={(e) => onChange(substitute(bout, side, Number(e.target.value), sub.replaces))}
+              className="border rounded-lg px-2 py-1 bg-white"
+            >
+              {relay.legs.map((_, k) => (
+                <option key={k} value={k}>{k + 1}</option>
+              ))}
+            </select>
+          </>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center">
+      <div className="absolute inset-0 bg-black/50" onClick={onClose} />
+      <div className="relative bg-white w-full max-w-2xl rounded-2xl shadow-2xl p-4 sm:p-6">
+        <div className="flex items-center justify-between mb-2">
+          <div>
+            <h3 className="text-lg font-semibold">{title}</h3>
+            <div className="text-sm text-gray-600">
+              <span className="font-medium">{teamA.name}</span>
+              <span className="mx-2">vs</span>
+              <span className="font-medium">{teamB.name}</span>
+              <span className="ml-2">• relay to {TEAM_TOUCHES}</span>
+            </div>
+          </div>
+          <button onClick={onClose} className="rounded-full w-9 h-9 flex items-center justify-center border hover:bg-gray-50">✕</button>
+        </div>
+        <div className="max-h-[60vh] overflow-auto pr-1">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-xs text-gray-500">
+                <th className="p-1 text-left">Leg</th>
+                <th className="p-1 text-right">{teamA.name}</th>
+                <th className="p-1" colSpan={3}>Touches</th>
+                <th className="p-1 text-left">{teamB.name}</th>
+                <th className="p-1 text-center">Score</th>
+              </tr>
+            </thead>
+            <tbody>
+              {relay.legs.map((leg, k) => (
+                <tr key={k} className="border-t">
+                  <td className="p-1 text-gray-500 tabular-nums">{k + 1} <span className="text-xs">→ {legTarget(k)}</span></td>
+                  <td className={`p-1 text-right ${leg.fa === SUBSTITUTE ? "italic" : ""}`}>{memberName(teamA, leg.fa)}</td>
+                  <td className="p-1 w-16">
+                    <input
+                      type="number"
+                      min={0}
+                      value={leg.ta}
+                      onChange={(e) => setLeg(k, "a", e.target.value)}
+                      className="w-full border rounded-lg px-2 py-1 text-center tabular-nums"
+                    />
+                  </td>
+                  <td className="p-1 text-center text-gray-400">–</td>
+                  <td className="p-1 w-16">
+                    <input
+                      type="number"
+                      min={0}
+                      value={leg.tb}
+                      onChange={(e) => setLeg(k, "b", e.target.value)}
+                      className="w-full border rounded-lg px-2 py-1 text-center tabular-nums"
+                    />
+                  </td>
+                  <td className={`p-1 ${leg.fb === SUBSTITUTE ? "italic" : ""}`}>{memberName(teamB, leg.fb)}</td>
+                  <td className="p-1 text-center tabular-nums font-medium">
+                    {leg.ta !== "" || leg.tb !== "" ? `${totals[k].a}–${totals[k].b}` : ""}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <div className="mt-3 space-y-2 border-t pt-3">
+          {subControls("a", teamA)}
+          {subControls("b", teamB)}
+        </div>
+        <div className="mt-3 flex flex-wrap items-center gap-3 text-sm">
+          <span className="font-semibold tabular-nums">
+            {bout.a === "" ? "Not fenced" : `${sideScore(bout, "a")}–${sideScore(bout, "b")}`}
+          </span>
+          {tied && (
+            <label className="flex items-center gap-2">
+              Priority winner
+              <select
+                value={bout.w}
+                onChange={(e) => onChange({ ...bout, w: e.target.value, priority: e.target.value !== "" })}
+                className="border rounded-lg px-2 py-1 bg-white"
+              >
+                <option value="">—</option>
+                <option value="a">{teamA.name}</option>
+                <option value="b">{teamB.name}</option>
+              </select>
+            </label>
+          )}
+          {winner && <span className="text-green-700">{winner === "a" ? teamA.name : teamB.name} win</span>}
+          <button onClick={onClose} className="ml-auto px-3 py-2 rounded-xl bg-black text-white text-sm shadow-sm">Done</button>
+        </div>
+      </div>
+    </div>
+  );
+}
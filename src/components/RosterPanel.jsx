@@ -0,0 +1,185 @@
+import { useState } from 'react';
+import { MIN_POOL_SIZE } from '../lib/pool.js';
+import { MAX_POOL_SIZE, clubClashes, compareRoster, makeRosterFencer } from '../lib/roster.js';
+
+/**
+ * Event-wide roster editor and pool draw.
+ * The draw stays editable (fencers can be moved by hand) until it is locked,
+ * at which point it replaces the pool tabs.
+ */
+export default function RosterPanel({ roster, draw, onRosterChange, onCreatePools, onMove, onLock, onUnlock }) {
+  const named = roster.filter((f) => f.name.trim() !== "");
+  const [poolCount, setPoolCount] = useState(Math.max(1, Math.ceil(named.length / 7)));
+  const rosterById = new Map(roster.map((f) => [f.id, f]));
+  const poolOf = new Map();
+  draw?.pools.forEach((ids, p) => ids.forEach((id) => poolOf.set(id, p)));
+
+  const updateFencer = (id, field, value) => {
+    onRosterChange(roster.map((f) => (f.id === id ? { ...f, [field]: value } : f)));
+  };
+
+  const addFencer = () => {
+    const id = roster.reduce((max, f) => Math.max(max, f.id), 0) + 1;
+    onRosterChange([...roster, makeRosterFencer(id)]);
+  };
+
+  const removeFencer = (id) => {
+    onRosterChange(roster.filter((f) => f.id !== id));
+  };
+
+  const sortRoster = () => {
+    onRosterChange([...roster].sort(compareRoster));
+  };
+
+  const locked = !!draw?.locked;
+  const sizesOk = draw && draw.pools.every((ids) => ids.length >= MIN_POOL_SIZE && ids.length <= MAX_POOL_SIZE);
+
+  return (
+    <section className="space-y-6">
+      <div>
+        <div className="mb-2 flex flex-wrap items-center gap-3">
+          <h2 className="text-lg font-semibold">Roster</h2>
+          <span className="text-sm text-gray-600">{named.length} fencers</span>
+          <button onClick={sortRoster} className="ml-auto px-3 py-2 rounded-xl border bg-white hover:bg-gray-50 text-sm shadow-sm">
+            Sort by seed
+          </button>
+          <button onClick={addFencer} disabled={locked} className="px-3 py-2 rounded-xl bg-black text-white text-sm shadow-sm disabled:opacity-40">
+            + Add fencer
+          </button>
+        </div>
+        <div className="overflow-auto border rounded-2xl bg-white shadow-sm">
+          <table className="min-w-max w-full text-sm">
+            <thead>
+              <tr>
+                {["#", "Name", "Club", "Nation", "Rating", "Seed", "Pool", ""].map((h, idx) => (
+                  <th key={idx} className={`p-3 text-left bg-gray-100 border-b ${idx > 0 ? "border-l" : ""}`}>{h}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {roster.length === 0 && (
+                <tr>
+                  <td colSpan={8} className="p-3 text-gray-500 border-t">No fencers yet.</td>
+                </tr>
+              )}
+              {roster.map((f, k) => (
+                <tr key={f.id}>
+                  <td className="p-2 border-t text-xs text-gray-500 tabular-nums">{k + 1}</td>
+                  {[["name", "w-48"], ["club", "w-36"], ["nation", "w-16"], ["rating", "w-20"], ["seed", "w-16"]].map(([field, w]) => (
+                    <td key={field} className="p-1 border-t border-l">
+                      <input
+                        value={f[field]}
+                        disabled={locked}
+                        inputMode={field === "rating" || field === "seed" ? "numeric" : undefined}
+                        onChange={(e) => updateFencer(f.id, field, e.target.value)}
+                        className={`${w} border rounded-lg px-2 py-1 bg-white disabled:bg-gray-50`}
+                      />
+                    </td>
+                  ))}
+                  <td className="p-2 border-t border-l text-xs text-gray-600">
+                    {poolOf.has(f.id) ? `Pool ${poolOf.get(f.id) + 1}` : ""}
+                  </td>
+                  <td className="p-2 border-t border-l">
+                    <button
+                      onClick={() => removeFencer(f.id)}
+                      disabled={locked}
+                      className="text-xs px-2 py-1 rounded text-red-600 hover:bg-red-50 disabled:opacity-40"
+                    >
+                      Remove
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div>
+        <div className="mb-2 flex flex-wrap items-center gap-3">
+          <h2 className="text-lg font-semibold">Pool draw</h2>
+          <label className="text-sm text-gray-700">Pools</label>
+          <input
+            type="number"
+            min={1}
+            value={poolCount}
+            disabled={locked}
+            onChange={(e) => setPoolCount(Math.max(1, Number(e.target.value) || 1))}
+            className="w-20 border rounded-xl px-3 py-2 text-sm bg-white shadow-sm"
+          />
+          <button
+            onClick={() => onCreatePools(poolCount)}
+            disabled={locked || named.length < MIN_POOL_SIZE}
+            className="px-3 py-2 rounded-xl border bg-white hover:bg-gray-50 text-sm shadow-sm disabled:opacity-40"
+          >
+            Create pools
+          </button>
+          {draw && !locked && (
+            <button
+              onClick={onLock}
+              disabled={!sizesOk}
+              className="ml-auto px-3 py-2 rounded-xl bg-black text-white text-sm shadow-sm disabled:opacity-40"
+              title={sizesOk ? "Replace the pool tabs with this draw" : `Every pool needs ${MIN_POOL_SIZE}–${MAX_POOL_SIZE} fencers`}
+            >
+              Lock pools
+            </button>
+          )}
+          {locked && (
+            <button onClick={onUnlock} className="ml-auto px-3 py-2 rounded-xl border text-sm shadow-sm">
+              Unlock draw
+            </button>
+          )}
+        </div>
+        {!draw ? (
+          <div className="border rounded-2xl bg-white shadow-sm p-6 text-sm text-gray-500">
+            Enter the roster, choose how many pools, then create pools. Fencers can be moved by hand before locking.
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3">
+            {draw.pools.map((ids, p) => {
+              const clashes = clubClashes(ids, rosterById);
+              return (
+                <div key={p} className="border rounded-2xl bg-white shadow-sm">
+                  <div className="p-3 border-b flex items-center gap-2">
+                    <span className="font-medium">Pool {p + 1}</span>
+                    <span className="text-xs text-gray-500">{ids.length} fencers</span>
+                    {clashes.length > 0 && (
+                      <span className="ml-auto text-xs text-amber-700">Same club: {clashes.join(", ")}</span>
+                    )}
+                  </div>
+                  <ul className="divide-y text-sm">
+                    {ids.map((id) => {
+                      const f = rosterById.get(id);
+                      return (
+                        <li key={id} className="px-3 py-2 flex items-center gap-2">
+                          <span className="flex-1">
+                            {f.name}
+                            <span className={`ml-2 text-xs ${clashes.some((c) => c.toLowerCase() === f.club.trim().toLowerCase()) ? "text-amber-700" : "text-gray-500"}`}>
+                              {[f.club, f.nation].filter(Boolean).join(" • ")}
+                            </span>
+                          </span>
+                          {!locked && (
+                            <select
+                              value={p}
+                              onChange={(e) => onMove(id, Number(e.target.value))}
+                              className="border rounded-lg px-2 py-1 text-xs bg-white"
+                              title="Move to another pool"
+                            >
+                              {draw.pools.map((_, q) => (
+                                <option key={q} value={q}>Pool {q + 1}</option>
+                              ))}
+                            </select>
+                          )}
+                        </li>
+                      );
+                    })}
+                  </ul>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </section>
+  );
+}
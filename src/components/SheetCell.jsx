@@ -0,0 +1,69 @@
+import { useState } from 'react';
+
+// Focuses the grid cell at row i, column j, stepping over the diagonal
+function focusCell(i, j, di, dj, size) {
+  let ni = i + di;
+  let nj = j + dj;
+  if (ni === nj) {
+    ni += di;
+    nj += dj;
+  }
+  if (ni < 0 || nj < 0 || ni >= size || nj >= size) return;
+  document.querySelector(`[data-cell="${ni}-${nj}"]`)?.focus();
+}
+
+/**
+ * One typed-in cell of the pool grid in quick entry mode.
+ * Shows `text` until focused; what is typed is handed to `onCommit(text)` when
+ * the cell is left, and stays highlighted in place if it returns an error.
+ * Arrow keys and Enter move between cells, Escape drops the edit.
+ */
+export default function SheetCell({ i, j, size, text, annulled, conflicted, onCommit }) {
+  const [draft, setDraft] = useState(null);
+  const [error, setError] = useState("");
+
+  const commit = () => {
+    if (draft === null) return;
+    const err = draft === text ? null : onCommit(draft);
+    setError(err ?? "");
+    if (!err) setDraft(null);
+  };
+
+  const onKeyDown = (e) => {
+    const el = e.target;
+    const atStart = el.selectionStart === 0 && el.selectionEnd === 0;
+    const atEnd = el.selectionStart === el.value.length;
+    let move = null;
+    if (e.key === "ArrowUp") move = [-1, 0];
+    else if (e.key === "ArrowDown" || e.key === "Enter") move = [1, 0];
+    else if (e.key === "ArrowLeft" && atStart) move = [0, -1];
+    else if (e.key === "ArrowRight" && atEnd) move = [0, 1];
+    else if (e.key === "Escape") {
+      setDraft(null);
+      setError("");
+      el.blur();
+      return;
+    }
+    if (!move) return;
+    e.preventDefault();
+    focusCell(i, j, move[0], move[1], size);
+  };
+
+  return (
+    <input
+      data-cell={`${i}-${j}`}
+      value={draft ?? text}
+      onFocus={(e) => {
+        setDraft(draft ?? text);
+        e.target.select();
+      }}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={onKeyDown}
+      title={error || (conflicted ? "Edited on two devices at once — see Live sync" : "V5, D3 or touches; one entry per bout")}
+      className={`w-full h-12 rounded-xl border px-1 text-center text-sm font-semibold tabular-nums uppercase focus:outline-none focus:ring-2 focus:ring-black ${
+        error ? "border-red-500 bg-red-50 text-red-700" : annulled ? "bg-gray-100 text-gray-400 line-through" : "bg-white"
+      } ${conflicted && !error ? "ring-2 ring-amber-400" : ""}`}
+    />
+  );
+}
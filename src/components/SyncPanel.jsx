@@ -0,0 +1,73 @@
+import { sideScore } from '../lib/bout.js';
+
+function scoreText(bt) {
+  return bt.a === "" && bt.b === "" ? "empty" : `${sideScore(bt, "a")}–${sideScore(bt, "b")}`;
+}
+
+/**
+ * Live sync settings: relay address and room, publishing this tournament to
+ * the room, and the bouts edited concurrently on two devices.
+ */
+export default function SyncPanel({ settings, status, conflicts, onChange, onPublish, onKeepMine, onDismiss }) {
+  return (
+    <div className="mt-3 border rounded-2xl bg-white shadow-sm print:hidden">
+      <div className="p-3 flex flex-wrap items-end gap-3 text-sm">
+        <div>
+          <label className="block text-xs text-gray-600 mb-1">Relay (leave empty for this browser only)</label>
+          <input
+            value={settings.url}
+            onChange={(e) => onChange({ ...settings, url: e.target.value })}
+            placeholder="ws://director-laptop:8787"
+            disabled={settings.enabled}
+            className="w-64 border rounded-xl px-3 py-2 bg-white disabled:bg-gray-50"
+          />
+        </div>
+        <div>
+          <label className="block text-xs text-gray-600 mb-1">Room</label>
+          <input
+            value={settings.room}
+            onChange={(e) => onChange({ ...settings, room: e.target.value })}
+            disabled={settings.enabled}
+            className="w-40 border rounded-xl px-3 py-2 bg-white disabled:bg-gray-50"
+          />
+        </div>
+        <button
+          onClick={() => onChange({ ...settings, enabled: !settings.enabled })}
+          disabled={!settings.room.trim()}
+          className={`px-3 py-2 rounded-xl text-sm shadow-sm disabled:opacity-40 ${settings.enabled ? "border bg-white hover:bg-gray-50" : "bg-black text-white"}`}
+        >
+          {settings.enabled ? "Disconnect" : "Connect"}
+        </button>
+        <button
+          onClick={onPublish}
+          disabled={!settings.enabled}
+          className="px-3 py-2 rounded-xl border bg-white hover:bg-gray-50 text-sm shadow-sm disabled:opacity-40"
+          title="Send this device's pools to every device in the room, replacing theirs"
+        >
+          Publish this tournament
+        </button>
+        <span className="text-xs text-gray-500">{status}</span>
+      </div>
+
+      {conflicts.length > 0 && (
+        <div className="border-t divide-y">
+          {conflicts.map((c) => (
+            <div key={c.key} className="p-3 flex flex-wrap items-center gap-3 text-sm bg-amber-50">
+              <span className="font-medium text-amber-800">Conflict</span>
+              <span>
+                {c.pool}, {c.pair}{c.k > 0 ? ` (bout ${c.k + 1})` : ""}: yours {scoreText(c.mine)}, {c.who || "another device"}’s {scoreText(c.theirs)}
+              </span>
+              <span className="text-xs text-gray-500">kept {c.kept}</span>
+              <button onClick={() => onKeepMine(c)} className="ml-auto text-xs px-2 py-1 rounded bg-gray-100 hover:bg-gray-200">
+                Use mine
+              </button>
+              <button onClick={() => onDismiss(c)} className="text-xs px-2 py-1 rounded bg-gray-100 hover:bg-gray-200">
+                Accept current
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,105 @@
+import { useState } from 'react';
+import { WEAPONS } from '../lib/tournament.js';
+
+const BLANK_EVENT = { name: "", weapon: "", category: "", date: "", eventType: "individual" };
+
+/**
+ * Tournament overview: the day's events with their weapon, category and date,
+ * and the stage each has reached. `events` carry `entries` and `stage` text.
+ */
+export default function TournamentDashboard({ name, events, activeEventId, onNameChange, onAdd, onUpdate, onOpen, onRemove }) {
+  const [draft, setDraft] = useState(BLANK_EVENT);
+
+  const add = () => {
+    if (!draft.name.trim()) {
+      alert("Give the event a name, e.g. Senior Men's Épée.");
+      return;
+    }
+    onAdd({ ...draft, name: draft.name.trim() });
+    setDraft(BLANK_EVENT);
+  };
+
+  const input = "border rounded-xl px-3 py-2 text-sm bg-white shadow-sm";
+
+  return (
+    <section className="space-y-4">
+      <div className="flex flex-wrap items-center gap-3">
+        <input
+          value={name}
+          onChange={(e) => onNameChange(e.target.value)}
+          className={`${input} w-80 font-medium`}
+          placeholder="Tournament name"
+        />
+        <span className="text-sm text-gray-600">{events.length} event{events.length > 1 ? "s" : ""}</span>
+      </div>
+
+      <div className="overflow-auto border rounded-2xl bg-white shadow-sm">
+        <table className="min-w-max w-full text-sm">
+          <thead>
+            <tr>
+              {["Event", "Weapon", "Category", "Date", "Entries", "Stage", ""].map((h, idx) => (
+                <th key={idx} className={`p-3 text-left bg-gray-100 border-b ${idx > 0 ? "border-l" : ""}`}>{h}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {events.map((e) => (
+              <tr key={e.id} className={e.id === activeEventId ? "bg-gray-50" : ""}>
+                <td className="p-2 border-t">
+                  <input value={e.name} onChange={(ev) => onUpdate(e.id, { name: ev.target.value })} className={`${input} w-56`} placeholder="Event name" />
+                  {e.eventType === "team" && <span className="ml-2 text-xs text-gray-500">Team</span>}
+                </td>
+                <td className="p-2 border-t border-l">
+                  <select value={e.weapon} onChange={(ev) => onUpdate(e.id, { weapon: ev.target.value })} className={input}>
+                    <option value="">—</option>
+                    {Object.entries(WEAPONS).map(([code, label]) => (
+                      <option key={code} value={code}>{label}</option>
+                    ))}
+                  </select>
+                </td>
+                <td className="p-2 border-t border-l">
+                  <input value={e.category} onChange={(ev) => onUpdate(e.id, { category: ev.target.value })} className={`${input} w-36`} placeholder="e.g. U14 Men" />
+                </td>
+                <td className="p-2 border-t border-l">
+                  <input type="date" value={e.date} onChange={(ev) => onUpdate(e.id, { date: ev.target.value })} className={input} />
+                </td>
+                <td className="p-3 border-t border-l text-center tabular-nums">{e.entries}</td>
+                <td className="p-3 border-t border-l">{e.stage}</td>
+                <td className="p-2 border-t border-l whitespace-nowrap">
+                  <button onClick={() => onOpen(e.id)} className="px-3 py-2 rounded-xl bg-black text-white text-sm shadow-sm">
+                    {e.id === activeEventId ? "Continue" : "Open"}
+                  </button>
+                  {events.length > 1 && (
+                    <button onClick={() => onRemove(e.id)} className="ml-2 text-xs px-2 py-1 rounded text-red-600 hover:bg-red-50">
+                      Delete
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="border rounded-2xl bg-white shadow-sm p-3 flex flex-wrap items-center gap-2">
+        <span className="text-sm font-medium">New event</span>
+        <input value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} className={`${input} w-56`} placeholder="Event name" />
+        <select value={draft.weapon} onChange={(e) => setDraft({ ...draft, weapon: e.target.value })} className={input}>
+          <option value="">Weapon</option>
+          {Object.entries(WEAPONS).map(([code, label]) => (
+            <option key={code} value={code}>{label}</option>
+          ))}
+        </select>
+        <input value={draft.category} onChange={(e) => setDraft({ ...draft, category: e.target.value })} className={`${input} w-36`} placeholder="Category" />
+        <input type="date" value={draft.date} onChange={(e) => setDraft({ ...draft, date: e.target.value })} className={input} />
+        <select value={draft.eventType} onChange={(e) => setDraft({ ...draft, eventType: e.target.value })} className={input}>
+          <option value="individual">Individual</option>
+          <option value="team">Team</option>
+        </select>
+        <button onClick={add} className="px-3 py-2 rounded-xl border bg-white hover:bg-gray-50 text-sm shadow-sm">
+          + Add event
+        </button>
+      </div>
+    </section>
+  );
+}
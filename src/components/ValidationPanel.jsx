@@ -0,0 +1,57 @@
+import { ISSUE_LABELS } from '../lib/validation.js';
+
+/**
+ * Completeness check of the active pool and the Finalize / Unlock action.
+ * Issues that point at a bout open it through `onOpen(issue)`; without
+ * `onOpen`, as for a finalized pool, they have no Open button.
+ */
+export default function ValidationPanel({ progress, issues, finalized, onOpen, onFinalize, onUnlock }) {
+  const pct = progress.total > 0 ? Math.round((progress.done / progress.total) * 100) : 100;
+  return (
+    <div className="mb-4 border rounded-2xl bg-white shadow-sm print:hidden">
+      <div className="p-3 flex flex-wrap items-center gap-3 text-sm">
+        <span className="font-medium">{progress.done} of {progress.total} bouts</span>
+        <div className="w-32 h-2 rounded-full bg-gray-200 overflow-hidden">
+          <div className={`h-full ${issues.length === 0 ? "bg-green-600" : "bg-black"}`} style={{ width: `${pct}%` }} />
+        </div>
+        {finalized ? (
+          <>
+            <span className="text-green-700">Finalized — results are locked</span>
+            <button onClick={onUnlock} className="ml-auto px-3 py-2 rounded-xl border bg-white hover:bg-gray-50 text-sm shadow-sm">
+              Unlock pool
+            </button>
+          </>
+        ) : (
+          <>
+            <span className={issues.length ? "text-amber-700" : "text-green-700"}>
+              {issues.length ? `${issues.length} issue${issues.length > 1 ? "s" : ""} to resolve` : "Ready to finalize"}
+            </span>
+            <button
+              onClick={onFinalize}
+              disabled={issues.length > 0}
+              className="ml-auto px-3 py-2 rounded-xl bg-black text-white text-sm shadow-sm disabled:opacity-30"
+              title={issues.length ? "Resolve every issue first" : "Lock the pool against further edits"}
+            >
+              Finalize pool
+            </button>
+          </>
+        )}
+      </div>
+      {!finalized && issues.length > 0 && (
+        <ul className="border-t max-h-48 overflow-auto divide-y text-sm">
+          {issues.map((issue, n) => (
+            <li key={n} className="px-3 py-1.5 flex items-center gap-3">
+              <span className="w-40 shrink-0 text-xs font-medium text-amber-800">{ISSUE_LABELS[issue.type]}</span>
+              <span className="flex-1">{issue.text}</span>
+              {onOpen && issue.x !== undefined && (
+                <button onClick={() => onOpen(issue)} className="text-xs px-2 py-1 rounded border bg-white hover:bg-gray-50">
+                  Open
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
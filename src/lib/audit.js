@@ -0,0 +1,209 @@
+import { makeEmptyBout, boutCards } from './bout.js';
+import { rankingText } from './ranking.js';
+import { relayTotals, substitutionOf } from './team.js';
+
+/**
+ * Audit log of pool changes
+ * - Every change between two versions of the pools is listed field by field
+ *   (pool, pair, bout, field, old → new)
+ * - Entries are only ever appended, so every intermediate value stays on record
+ * - Quick repeated edits of the same fields (typing a name, tapping + several
+ *   times) can be grouped into one row for display; the log itself keeps them all
+ */
+
+// Edits of the same fields closer together than this count as one edit
+export const COALESCE_MS = 2000;
+
+const POOL_FIELDS = ["name", "date", "boutsPer", "maxTouches"];
+const BOUT_FIELDS = ["a", "b", "ha", "hb", "pa", "pb", "w", "priority", "referee", "piste", "start", "end"];
+
+// Per-side bout fields are labelled with the fencer's name, e.g. "score SMITH"
+function boutFieldLabel(field, names) {
+  const name = field.endsWith("a") ? names.a : names.b;
+  if (field === "a" || field === "b") return `score ${name}`;
+  if (field === "ha" || field === "hb") return `handicap ${name}`;
+  if (field === "pa" || field === "pb") return `penalty ${name}`;
+  if (field === "w") return "priority winner";
+  return field;
+}
+
+function cardsText(bt, names) {
+  return boutCards(bt).map((c) => `${c.type} ${names[c.side]}`).join(", ");
+}
+
+// Team relays: running score after each leg fenced, and each team's substitution
+function legsText(bt) {
+  if (!bt.relay) return "";
+  const totals = relayTotals(bt.relay);
+  return bt.relay.legs
+    .map((l, k) => (l.ta === "" && l.tb === "" ? null : `${totals[k].a}–${totals[k].b}`))
+    .filter(Boolean)
+    .join(", ");
+}
+
+function substitutionText(bt, side) {
+  const sub = bt.relay && substitutionOf(bt.relay, side);
+  return sub ? `for fencer ${sub.replaces + 1} from leg ${sub.leg + 1}` : "";
+}
+
+function valueText(v) {
+  if (v === undefined || v === null) return "";
+  return String(v);
+}
+
+function change(pool, target, field, from, to) {
+  return { poolId: pool.id, pool: pool.name, pair: target.pair ?? "", bout: target.bout ?? "", field, from: valueText(from), to: valueText(to) };
+}
+
+function diffFencers(prev, next) {
+  const changes = [];
+  const before = new Map(prev.fencers.map((f, i) => [f.id, { f, i }]));
+  const after = new Set(next.fencers.map((f) => f.id));
+  next.fencers.forEach((f, i) => {
+    const old = before.get(f.id);
+    const target = { pair: f.name };
+    if (!old) {
+      changes.push(change(next, target, "fencer", "", "added"));
+      return;
+    }
+    if (old.f.name !== f.name) changes.push(change(next, target, "name", old.f.name, f.name));
+    if (old.f.status !== f.status) changes.push(change(next, target, "status", old.f.status, f.status));
+    if ((old.f.grade ?? "") !== (f.grade ?? "")) changes.push(change(next, target, "grade", old.f.grade, f.grade));
+    const ma = (old.f.members ?? []).join(", ");
+    const mb = (f.members ?? []).join(", ");
+    if (ma !== mb) changes.push(change(next, target, "team members", ma, mb));
+    if (old.i !== i) changes.push(change(next, target, "position", old.i + 1, i + 1));
+  });
+  prev.fencers.forEach((f) => {
+    if (!after.has(f.id)) changes.push(change(next, { pair: f.name }, "fencer", "", "removed"));
+  });
+  return changes;
+}
+
+function handicapText(handicap) {
+  if (!handicap?.enabled) return "off";
+  const { name, step, touches } = handicap.table;
+  return `${name} (${touches.join(", ")} per ${step})`;
+}
+
+function diffPool(prev, next) {
+  const changes = [];
+  POOL_FIELDS.forEach((f) => {
+    if (prev[f] !== next[f]) changes.push(change(next, {}, f, prev[f], next[f]));
+  });
+  const ha = handicapText(prev.handicap);
+  const hb = handicapText(next.handicap);
+  if (ha !== hb) changes.push(change(next, {}, "handicaps", ha, hb));
+  const ra = rankingText(prev.ranking);
+  const rb = rankingText(next.ranking);
+  if (ra !== rb) changes.push(change(next, {}, "ranking", ra, rb));
+  if (!!prev.finalized !== !!next.finalized) {
+    changes.push(change(next, {}, "results", prev.finalized ? "finalized" : "open", next.finalized ? "finalized" : "open"));
+  }
+  if (prev.fencers !== next.fencers) changes.push(...diffFencers(prev, next));
+  if (prev.bouts === next.bouts) return changes;
+
+  const nameOf = (id) => (next.fencers.find((f) => f.id === id) ?? prev.fencers.find((f) => f.id === id))?.name ?? `#${id}`;
+  const keys = new Set([...Object.keys(prev.bouts), ...Object.keys(next.bouts)]);
+  keys.forEach((key) => {
+    const before = prev.bouts[key] ?? [];
+    const after = next.bouts[key] ?? [];
+    if (before === after) return;
+    const [x, y] = key.split("-").map(Number);
+    const names = { a: nameOf(x), b: nameOf(y) };
+    for (let k = 0; k < Math.max(before.length, after.length); k++) {
+      const ba = before[k] ?? makeEmptyBout();
+      const bb = after[k] ?? makeEmptyBout();
+      if (ba === bb) continue;
+      const target = { pair: `${names.a} – ${names.b}`, bout: `${k + 1}` };
+      BOUT_FIELDS.forEach((f) => {
+        if (valueText(ba[f]) === valueText(bb[f])) return;
+        const label = boutFieldLabel(f, names);
+        if (f === "w") changes.push(change(next, target, label, names[ba.w], names[bb.w]));
+        else changes.push(change(next, target, label, ba[f], bb[f]));
+      });
+      const ca = cardsText(ba, names);
+      const cb = cardsText(bb, names);
+      if (ca !== cb) changes.push(change(next, target, "cards", ca, cb));
+      ["a", "b"].forEach((side) => {
+        const sa = substitutionText(ba, side);
+        const sb = substitutionText(bb, side);
+        if (sa !== sb) changes.push(change(next, target, `substitution ${names[side]}`, sa, sb));
+      });
+      const la = legsText(ba);
+      const lb = legsText(bb);
+      if (la !== lb) changes.push(change(next, target, "relay legs", la, lb));
+    }
+  });
+  return changes;
+}
+
+/** Field-level changes between two versions of the pools list, matched by pool id. */
+export function diffPools(prev, next) {
+  const before = new Map(prev.map((p) => [p.id, p]));
+  const after = new Set(next.map((p) => p.id));
+  const changes = [];
+  next.forEach((pool) => {
+    const old = before.get(pool.id);
+    if (!old) changes.push(change(pool, {}, "pool", "", "added"));
+    else if (old !== pool) changes.push(...diffPool(old, pool));
+  });
+  prev.forEach((pool) => {
+    if (!after.has(pool.id)) changes.push(change(pool, {}, "pool", "", "removed"));
+  });
+  return changes;
+}
+
+/** Identifies which fields a set of changes touched, for grouping quick repeats. */
+export function changeKey(changes) {
+  return changes.map((c) => `${c.poolId}|${c.pair}|${c.bout}|${c.field}`).join(";");
+}
+
+/**
+ * Appends `changes` to the log as entries stamped with `who`, `at` and
+ * `action` ("edit", "undo", "redo" or "sync").
+ */
+export function appendAudit(log, changes, { who, at, action }) {
+  return [...log, ...changes.map((c) => ({ at, who, action, ...c }))];
+}
+
+/**
+ * The log for display, with quick repeats grouped: consecutive edits by the
+ * same scorer to the same fields within COALESCE_MS of each other show as one
+ * row per field, from the first old value to the last new one, at the time of
+ * the first edit. Entries appended together form one edit.
+ */
+export function groupAudit(log) {
+  const edits = [];
+  log.forEach((e) => {
+    const last = edits[edits.length - 1];
+    if (last && last.at === e.at && last.who === e.who && last.action === e.action) last.entries.push(e);
+    else edits.push({ at: e.at, who: e.who, action: e.action, entries: [e] });
+  });
+  const grouped = [];
+  let open = null;
+  edits.forEach((edit) => {
+    const key = changeKey(edit.entries);
+    if (
+      open &&
+      edit.action === "edit" &&
+      open.action === "edit" &&
+      edit.who === open.who &&
+      key === open.key &&
+      Date.parse(edit.at) - Date.parse(open.lastAt) < COALESCE_MS
+    ) {
+      open.entries = open.entries.map((e, k) => ({ ...e, to: edit.entries[k].to }));
+      open.lastAt = edit.at;
+      return;
+    }
+    open = { ...edit, key, lastAt: edit.at };
+    grouped.push(open);
+  });
+  return grouped.flatMap((edit) => edit.entries);
+}
+
+export const AUDIT_COLUMNS = ["Time", "By", "Action", "Pool", "Fencer / pair", "Bout", "Field", "Old", "New"];
+
+export function auditRows(log) {
+  return log.map((e) => [e.at, e.who, e.action, e.pool, e.pair, e.bout, e.field, e.from, e.to]);
+}
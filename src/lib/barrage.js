@@ -0,0 +1,79 @@
+import { boutWinner, sideScore } from './bout.js';
+import { createEmptyPool, makePoolFencer, pairBouts, poolPairs } from './pool.js';
+
+/**
+ * Barrages (fence-offs) between fencers the ranking rules leave level
+ * - A barrage is a small pool of just the tied fencers, one bout per pairing,
+ *   stored in the same shape as a pool
+ * - `scope` is the ranking it settles: "pool:<id>" for places in that pool or
+ *   "cut" for the promotion cut across all pools
+ * - Each barrage fencer carries the `ref` ("<poolId>:<fencerId>") of the pool
+ *   fencer they stand for; a barrage only counts while exactly those fencers
+ *   are still level
+ */
+
+// Ties for these places in a pool are offered a barrage
+export const MEDAL_PLACES = 3;
+export const BARRAGE_TOUCHES = 5;
+
+export function fencerRef(poolId, fencerId) {
+  return `${poolId}:${fencerId}`;
+}
+
+/** A barrage between `entries` (`{ ref, name }`) settling a tie in `scope`. */
+export function createBarrage(id, scope, name, entries) {
+  return {
+    ...createEmptyPool(name, id, 0),
+    scope,
+    boutsPer: 1,
+    maxTouches: BARRAGE_TOUCHES,
+    fencers: entries.map((e, i) => makePoolFencer(i + 1, e.name, { ref: e.ref })),
+  };
+}
+
+/**
+ * Refs of the barrage fencers from first to last once every bout is decided
+ * (by victories, then indicator, then touches scored), or null while it is
+ * unfinished or leaves anyone level.
+ */
+export function barrageOrder(barrage) {
+  const stats = new Map(barrage.fencers.map((f) => [f.id, { ref: f.ref, V: 0, IND: 0, HS: 0 }]));
+  for (const { x, y } of poolPairs(barrage)) {
+    const [bt] = pairBouts(barrage, x, y);
+    const w = boutWinner(bt);
+    if (!w) return null;
+    const a = stats.get(x);
+    const b = stats.get(y);
+    a.V += w === "a" ? 1 : 0;
+    b.V += w === "b" ? 1 : 0;
+    a.HS += sideScore(bt, "a");
+    b.HS += sideScore(bt, "b");
+    a.IND += sideScore(bt, "a") - sideScore(bt, "b");
+    b.IND += sideScore(bt, "b") - sideScore(bt, "a");
+  }
+  const key = (s) => [s.V, s.IND, s.HS];
+  const sorted = [...stats.values()].sort((p, q) => q.V - p.V || q.IND - p.IND || q.HS - p.HS);
+  const level = sorted.some((s, k) => k > 0 && key(s).join() === key(sorted[k - 1]).join());
+  return level ? null : sorted.map((s) => s.ref);
+}
+
+function sameRefs(barrage, refs) {
+  return barrage.fencers.length === refs.length && barrage.fencers.every((f) => refs.includes(f.ref));
+}
+
+/** The barrage in `scope` between exactly the fencers `refs`, if any. */
+export function findBarrage(barrages, scope, refs) {
+  return barrages.find((b) => b.scope === scope && sameRefs(b, refs)) ?? null;
+}
+
+/**
+ * A `settle` function for `rankRows`: orders a group of level rows by the
+ * finished barrage between exactly them, or returns null.
+ */
+export function barrageSettler(barrages, scope) {
+  return (group) => {
+    const barrage = findBarrage(barrages, scope, group.map((r) => r.ref));
+    const order = barrage && barrageOrder(barrage);
+    return order ? order.map((ref) => group.find((r) => r.ref === ref)) : null;
+  };
+}
@@ -0,0 +1,122 @@
+/**
+ * Single-bout helpers shared by pool pairings and direct elimination
+ * - A bout is `{ a, b, ha, hb, pa, pb, w, ... }`: scores ("" when not fenced),
+ *   handicaps, penalty touches awarded to each side and the priority winner
+ *   used to decide a tied score
+ * - It also records the cards shown, whether the result came on priority, and
+ *   the referee, piste and start/end times; team matches add their relay legs
+ *   (see team.js)
+ * - Older saved bouts may lack the newer fields; read them through these helpers
+ */
+
+export const CARD_TYPES = {
+  Y: "Yellow",
+  R: "Red",
+  B: "Black",
+};
+
+export function makeEmptyBout() {
+  return {
+    a: "",
+    b: "",
+    ha: 0,
+    hb: 0,
+    pa: 0,
+    pb: 0,
+    w: "",
+    priority: false,
+    cards: [],
+    referee: "",
+    piste: "",
+    start: "",
+    end: "",
+  };
+}
+
+export function safeInt(v) {
+  if (v === "" || v === null || v === undefined) return 0;
+  const n = Number(v);
+  return Number.isFinite(n) ? Math.max(0, Math.floor(n)) : 0;
+}
+
+export function effectiveScore(base, handicap, penalty = 0) {
+  return safeInt(base) + safeInt(handicap) + safeInt(penalty);
+}
+
+/** Score of one side ("a" or "b") including handicap and penalty touches. */
+export function sideScore(bt, side) {
+  return side === "a"
+    ? effectiveScore(bt.a, bt.ha, bt.pa)
+    : effectiveScore(bt.b, bt.hb, bt.pb);
+}
+
+export function otherSide(side) {
+  return side === "a" ? "b" : "a";
+}
+
+export function boutCards(bt) {
+  return bt.cards ?? [];
+}
+
+export function isBoutEmpty(bt) {
+  return bt.a === "" && bt.b === "";
+}
+
+/**
+ * Winner of a single bout: "a", "b", or "" when the bout is empty or tied
+ * without a recorded priority winner (`w`). A black card loses the bout
+ * whatever the score.
+ */
+export function boutWinner(bt) {
+  const black = boutCards(bt).find((c) => c.type === "B");
+  if (black) return otherSide(black.side);
+  if (isBoutEmpty(bt)) return "";
+  const sa = sideScore(bt, "a");
+  const sb = sideScore(bt, "b");
+  if (sa > sb) return "a";
+  if (sb > sa) return "b";
+  return bt.w === "a" || bt.w === "b" ? bt.w : "";
+}
+
+/** Paper-sheet notation for one side of a bout, e.g. V5, D3, V4 on priority. */
+export function boutNotation(bt, side) {
+  const winner = boutWinner(bt);
+  if (!winner) return "";
+  return `${winner === side ? "V" : "D"}${sideScore(bt, side)}`;
+}
+
+function sideOf(field) {
+  return field === "a" || field === "ha" || field === "pa" ? "a" : "b";
+}
+
+/**
+ * Returns `bt` with `field` changed by `delta`, or null when the change would
+ * push that side's effective score past `maxTouches`.
+ */
+export function stepBout(bt, field, delta, maxTouches) {
+  const v = Math.max(0, safeInt(bt[field]) + delta);
+  const next = { ...bt, [field]: v };
+  if (delta > 0 && sideScore(next, sideOf(field)) > maxTouches) return null;
+  return next;
+}
+
+/**
+ * Records a card against `side`. A red card also awards the opponent a
+ * penalty touch, unless that would take them past `maxTouches`.
+ */
+export function addCard(bt, side, type, maxTouches) {
+  let next = { ...bt, cards: [...boutCards(bt), { side, type, at: new Date().toISOString() }] };
+  if (type === "R") {
+    next = stepBout(next, `p${otherSide(side)}`, 1, maxTouches) ?? next;
+  }
+  return next;
+}
+
+/** Removes the card at `index`, taking back the penalty touch a red card gave. */
+export function removeCard(bt, index) {
+  const card = boutCards(bt)[index];
+  if (!card) return bt;
+  let next = { ...bt, cards: boutCards(bt).filter((_, k) => k !== index) };
+  if (card.type === "R") next = stepBout(next, `p${otherSide(card.side)}`, -1, Infinity);
+  return next;
+}
@@ -0,0 +1,88 @@
+/**
+ * Official pool bout order (FIE / USA Fencing tables)
+ * - One table per pool size, fencer numbers are 1-based as on the paper sheet
+ * - The left fencer is listed first
+ * - Larger pools, which have no official table, get an order built so every
+ *   fencer rests as long as possible between bouts
+ * - Repeated once per round when a pairing is fenced more than once
+ */
+
+export const BOUT_ORDERS = {
+  2: [[1, 2]],
+  3: [[1, 2], [2, 3], [3, 1]],
+  4: [[1, 4], [2, 3], [1, 3], [2, 4], [3, 4], [1, 2]],
+  5: [[1, 2], [3, 4], [5, 1], [2, 3], [5, 4], [1, 3], [2, 5], [4, 1], [3, 5], [4, 2]],
+  6: [[1, 2], [4, 5], [2, 3], [5, 6], [3, 1], [6, 4], [2, 5], [1, 4], [5, 3], [1, 6],
+      [4, 2], [3, 6], [5, 1], [3, 4], [6, 2]],
+  7: [[1, 4], [2, 5], [3, 6], [7, 1], [5, 4], [2, 3], [6, 7], [5, 1], [4, 3], [6, 2],
+      [5, 7], [3, 1], [4, 6], [7, 2], [3, 5], [1, 6], [2, 4], [7, 3], [6, 5], [1, 2],
+      [4, 7]],
+  8: [[2, 3], [1, 5], [7, 4], [6, 8], [1, 2], [3, 4], [5, 6], [8, 7], [4, 1], [5, 2],
+      [8, 3], [6, 7], [4, 2], [8, 1], [7, 5], [3, 6], [2, 8], [5, 4], [6, 1], [3, 7],
+      [4, 8], [2, 6], [3, 5], [1, 7], [4, 6], [8, 5], [7, 2], [1, 3]],
+  9: [[1, 9], [2, 8], [3, 7], [4, 6], [1, 5], [2, 9], [8, 3], [7, 4], [6, 5], [1, 2],
+      [9, 3], [8, 4], [7, 5], [6, 1], [3, 2], [9, 4], [5, 8], [7, 6], [3, 1], [2, 4],
+      [5, 9], [8, 6], [7, 1], [4, 3], [5, 2], [6, 9], [8, 7], [4, 1], [5, 3], [6, 2],
+      [9, 7], [1, 8], [4, 5], [3, 6], [2, 7], [9, 8]],
+  10: [[1, 4], [6, 9], [2, 5], [7, 10], [3, 1], [8, 6], [4, 5], [9, 10], [2, 3], [7, 8],
+       [5, 1], [10, 6], [4, 2], [9, 7], [5, 3], [10, 8], [1, 2], [6, 7], [3, 4], [8, 9],
+       [5, 10], [1, 6], [2, 7], [3, 8], [4, 9], [6, 5], [10, 2], [8, 1], [7, 4], [9, 3],
+       [2, 6], [5, 8], [4, 10], [1, 9], [3, 7], [8, 2], [6, 4], [9, 5], [10, 3], [7, 1],
+       [4, 8], [2, 9], [3, 6], [5, 7], [1, 10]],
+};
+
+/**
+ * Round order for a pool size without a table: repeatedly picks the unfenced
+ * pairing whose fencers have waited longest since their last bout.
+ */
+export function restOrder(size) {
+  const lastBout = Array(size + 1).fill(-Infinity);
+  const remaining = [];
+  for (let l = 1; l <= size; l++) {
+    for (let r = l + 1; r <= size; r++) remaining.push([l, r]);
+  }
+  const order = [];
+  while (remaining.length > 0) {
+    let best = 0;
+    let bestRest = null;
+    remaining.forEach(([l, r], idx) => {
+      const rest = [Math.max(lastBout[l], lastBout[r]), lastBout[l] + lastBout[r]];
+      if (!bestRest || rest[0] < bestRest[0] || (rest[0] === bestRest[0] && rest[1] < bestRest[1])) {
+        best = idx;
+        bestRest = rest;
+      }
+    });
+    const [[l, r]] = remaining.splice(best, 1);
+    // Alternate sides: whoever has fenced more bouts on the left goes right
+    order.push(order.filter(([x]) => x === l).length > order.filter(([x]) => x === r).length ? [r, l] : [l, r]);
+    lastBout[l] = order.length;
+    lastBout[r] = order.length;
+  }
+  return order;
+}
+
+/**
+ * Returns the ordered bout list for a pool.
+ * Each entry has 0-based `left`/`right` positions, the matching upper-triangle
+ * cell `(i, j)` with `i < j`, and `k`, the bout index within that pairing.
+ * Later rounds swap sides so each fencer alternates left and right.
+ */
+export function generateBoutOrder(size, boutsPer) {
+  if (size < 2) throw new Error(`No bout order for a pool of ${size}`);
+  const table = BOUT_ORDERS[size] ?? restOrder(size);
+  const order = [];
+  for (let k = 0; k < boutsPer; k++) {
+    table.forEach(([l, r]) => {
+      const [left, right] = k % 2 === 0 ? [l - 1, r - 1] : [r - 1, l - 1];
+      order.push({
+        n: order.length + 1,
+        k,
+        left,
+        right,
+        i: Math.min(left, right),
+        j: Math.max(left, right),
+      });
+    });
+  }
+  return order;
+}
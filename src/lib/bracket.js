@@ -0,0 +1,130 @@
+import { makeEmptyBout, boutWinner } from './bout.js';
+
+/**
+ * Direct elimination tableau
+ * - Built from the seeded fencers who made the promotion cut
+ * - Standard seeding positions so the top seeds receive the byes
+ * - Only seeds and bout scores are stored; who fences whom in later rounds is
+ *   always derived from earlier results, so winners advance automatically
+ * - Each result records the seeds who fenced it; when an earlier result is
+ *   changed so that others now meet in that match, the old result no longer
+ *   counts and the match is to be fenced again
+ */
+
+export const DE_TOUCHES = 15;
+export const THIRD_PLACE_KEY = "third";
+
+/** Smallest power-of-two tableau (T2, T4, T8, …) that holds `n` fencers. */
+export function tableauSize(n) {
+  let size = 2;
+  while (size < n) size *= 2;
+  return size;
+}
+
+/**
+ * Seed number at each starting slot, e.g. T8 → [1, 8, 4, 5, 2, 7, 3, 6].
+ * Seeds 1 and 2 can only meet in the final, 1–4 in the semi-finals, and so on.
+ */
+export function seedPositions(size) {
+  let order = [1];
+  while (order.length < size) {
+    const n = order.length * 2;
+    order = order.flatMap((s) => [s, n + 1 - s]);
+  }
+  return order;
+}
+
+export function roundLabel(fencers) {
+  if (fencers === 2) return "Final";
+  if (fencers === 4) return "Semi-finals";
+  return `T${fencers}`;
+}
+
+/** `entries` are `{ name, pool }` objects in seeding order. */
+export function createBracket(entries) {
+  return {
+    size: tableauSize(entries.length),
+    entries: entries.map((e, k) => ({ ...e, seed: k + 1 })),
+    bouts: {},
+  };
+}
+
+export function matchKey(round, slot) {
+  return `${round}-${slot}`;
+}
+
+// Results stored before seeds were recorded are taken as they are
+function fencedBy(bout, a, b) {
+  return !bout.seeds || (bout.seeds[0] === a?.seed && bout.seeds[1] === b?.seed);
+}
+
+/**
+ * The result of match `key` between entries `a` and `b`: the stored bout, or
+ * an empty one when nothing is stored or it was fenced by other seeds.
+ */
+export function matchBout(bracket, key, a, b) {
+  const bout = bracket.bouts[key];
+  return bout && fencedBy(bout, a, b) ? bout : makeEmptyBout();
+}
+
+/** `bracket` with `bout` stored as the result of match `key` between `a` and `b`. */
+export function withMatchBout(bracket, key, a, b, bout) {
+  return { ...bracket, bouts: { ...bracket.bouts, [key]: { ...bout, seeds: [a.seed, b.seed] } } };
+}
+
+// A side is an entry, null for a bye, or undefined while still to be decided
+function playMatch(key, a, b, bouts) {
+  const stored = bouts[key];
+  const stale = !!stored && !!a && !!b && !fencedBy(stored, a, b);
+  const bout = stored && !stale ? stored : makeEmptyBout();
+  let winner, loser;
+  if (a === undefined || b === undefined) {
+    winner = loser = undefined;
+  } else if (a === null || b === null) {
+    winner = a ?? b;
+    loser = null;
+  } else {
+    const w = boutWinner(bout);
+    winner = w === "a" ? a : w === "b" ? b : undefined;
+    loser = w === "a" ? b : w === "b" ? a : undefined;
+  }
+  const bye = a === null || b === null;
+  return { key, a, b, bout, bye, winner, loser, ready: !!a && !!b, stale };
+}
+
+/**
+ * Plays the stored results through the tableau.
+ * Returns `{ rounds, third, medals }`, where each round is a list of matches
+ * `{ key, a, b, bout, bye, winner, loser, ready, stale }` plus its `label`;
+ * `stale` marks a stored result fenced by seeds who no longer meet there.
+ */
+export function resolveBracket(bracket) {
+  const { size, entries, bouts } = bracket;
+  const bySeed = new Map(entries.map((e) => [e.seed, e]));
+  let sides = seedPositions(size).map((seed) => bySeed.get(seed) ?? null);
+
+  const rounds = [];
+  for (let round = 0; sides.length > 1; round++) {
+    const matches = [];
+    for (let slot = 0; slot < sides.length / 2; slot++) {
+      matches.push(playMatch(matchKey(round, slot), sides[2 * slot], sides[2 * slot + 1], bouts));
+    }
+    matches.label = roundLabel(sides.length);
+    rounds.push(matches);
+    sides = matches.map((m) => m.winner);
+  }
+
+  const final = rounds[rounds.length - 1][0];
+  const semis = rounds.length > 1 ? rounds[rounds.length - 2] : null;
+  const third = semis
+    ? playMatch(THIRD_PLACE_KEY, semis[0].loser, semis[1].loser, bouts)
+    : null;
+
+  const medals = [
+    { place: 1, entry: final.winner },
+    { place: 2, entry: final.loser },
+    ...(third ? [{ place: 3, entry: third.winner }, { place: 4, entry: third.loser }] : []),
+  ];
+
+  return { rounds, third, medals };
+}
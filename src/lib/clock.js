@@ -0,0 +1,59 @@
+/**
+ * Bout clock for live scoring
+ * - Pool bouts: one period of 3:00
+ * - DE bouts: three periods of 3:00 with one-minute breaks
+ * - A bout still tied when regular time runs out goes to one minute of
+ *   priority; if nobody scores, the fencer holding priority wins
+ */
+
+export const POOL_CLOCK = { periods: 1, periodMs: 3 * 60 * 1000, breakMs: 0 };
+export const DE_CLOCK = { periods: 3, periodMs: 3 * 60 * 1000, breakMs: 60 * 1000 };
+export const PRIORITY_MS = 60 * 1000;
+
+/**
+ * `phase` is "period", "break", "priority" or "done"; `priority` is the side
+ * ("a" / "b") holding priority once drawn.
+ */
+export function makeClock(config) {
+  return { phase: "period", period: 1, remaining: config.periodMs, running: false, priority: "" };
+}
+
+/** 2:59 style, with tenths in the last ten seconds. */
+export function formatClock(ms) {
+  const t = Math.max(0, ms);
+  if (t < 10000) return (Math.ceil(t / 100) / 10).toFixed(1);
+  const s = Math.ceil(t / 1000);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+}
+
+export function phaseLabel(clock, config) {
+  if (clock.phase === "break") return `Break after period ${clock.period}`;
+  if (clock.phase === "priority") return "Priority minute";
+  if (clock.phase === "done") return "Bout over";
+  return config.periods > 1 ? `Period ${clock.period} of ${config.periods}` : "Bout";
+}
+
+/**
+ * Runs the clock down by `elapsed` ms and moves on to the next phase when time
+ * is up. Breaks run on by themselves; periods and priority wait for "Fence".
+ */
+export function tickClock(clock, elapsed, config, tied) {
+  const remaining = clock.remaining - elapsed;
+  if (remaining > 0) return { ...clock, remaining };
+  if (clock.phase === "period" && clock.period < config.periods) {
+    return config.breakMs > 0
+      ? { ...clock, phase: "break", remaining: config.breakMs, running: true }
+      : { ...clock, period: clock.period + 1, remaining: config.periodMs, running: false };
+  }
+  if (clock.phase === "break") {
+    return { ...clock, phase: "period", period: clock.period + 1, remaining: config.periodMs, running: false };
+  }
+  if (clock.phase === "period" && tied) {
+    return { ...clock, phase: "priority", remaining: PRIORITY_MS, running: false };
+  }
+  return { ...clock, phase: "done", remaining: 0, running: false };
+}
+
+export function drawPriority() {
+  return Math.random() < 0.5 ? "a" : "b";
+}
@@ -0,0 +1,79 @@
+import { CARD_TYPES, boutCards, safeInt, otherSide } from './bout.js';
+import { pairBouts, poolPairs } from './pool.js';
+
+/**
+ * Discipline report
+ * - Every card shown and every penalty touch conceded, in pools and DE
+ * - Summarised per fencer (by name, as printed on the sheets)
+ */
+
+function boutEvents(bt, names, context, boutLabel) {
+  const events = [];
+  boutCards(bt).forEach((card) => {
+    events.push({
+      fencer: names[card.side],
+      opponent: names[otherSide(card.side)],
+      context,
+      bout: boutLabel,
+      kind: CARD_TYPES[card.type],
+      type: card.type,
+      at: card.at ?? "",
+      referee: bt.referee ?? "",
+    });
+  });
+  // Penalty touches awarded to one side were conceded by the other
+  ["a", "b"].forEach((side) => {
+    const touches = safeInt(bt[`p${side}`]);
+    if (touches > 0) {
+      events.push({
+        fencer: names[otherSide(side)],
+        opponent: names[side],
+        context,
+        bout: boutLabel,
+        kind: `${touches} penalty touch${touches > 1 ? "es" : ""} conceded`,
+        type: "P",
+        touches,
+        at: "",
+        referee: bt.referee ?? "",
+      });
+    }
+  });
+  return events;
+}
+
+/** All discipline events across the pools and the resolved DE tableau. */
+export function collectDiscipline(pools, resolvedBracket) {
+  const events = [];
+  pools.forEach((pool) => {
+    const B = pool.boutsPer;
+    poolPairs(pool).forEach(({ i, j, x, y }) => {
+      const names = { a: pool.fencers[i].name, b: pool.fencers[j].name };
+      pairBouts(pool, x, y).forEach((bt, k) => {
+        events.push(...boutEvents(bt, names, pool.name, B > 1 ? `${i + 1}–${j + 1} (${k + 1})` : `${i + 1}–${j + 1}`));
+      });
+    });
+  });
+  if (resolvedBracket) {
+    const matches = [
+      ...resolvedBracket.rounds.flatMap((round) => round.map((m) => ({ m, label: round.label }))),
+      ...(resolvedBracket.third ? [{ m: resolvedBracket.third, label: "Third place" }] : []),
+    ];
+    matches.forEach(({ m, label }) => {
+      if (!m.ready) return;
+      events.push(...boutEvents(m.bout, { a: m.a.name, b: m.b.name }, "DE", label));
+    });
+  }
+  return events;
+}
+
+/** Per-fencer card counts and penalty touches conceded, worst record first. */
+export function summarizeDiscipline(events) {
+  const byFencer = new Map();
+  events.forEach((e) => {
+    const row = byFencer.get(e.fencer) ?? { fencer: e.fencer, Y: 0, R: 0, B: 0, P: 0 };
+    if (e.type === "P") row.P += e.touches;
+    else row[e.type] += 1;
+    byFencer.set(e.fencer, row);
+  });
+  return [...byFencer.values()].sort((x, y) => y.B - x.B || y.R - x.R || y.Y - x.Y || y.P - x.P);
+}
@@ -0,0 +1,38 @@
+/**
+ * Hall display feed
+ * - The display runs in its own browser tab (the app URL with #display) and
+ *   shows the tournament read-only
+ * - It starts from the autosave and then follows every change the editing tab
+ *   posts on a BroadcastChannel, so scores show up without a reload
+ */
+
+export const DISPLAY_HASH = "#display";
+// How long each pool or results page stays on screen
+export const ROTATE_MS = 15000;
+
+const CHANNEL = "fencingpool.display";
+
+let channel = null;
+
+function openChannel() {
+  if (typeof BroadcastChannel === "undefined") return null;
+  if (!channel) channel = new BroadcastChannel(CHANNEL);
+  return channel;
+}
+
+export function isDisplayMode() {
+  return window.location.hash === DISPLAY_HASH;
+}
+
+/** Posts the editing tab's current tournament state to any open display. */
+export function publishDisplay(state) {
+  openChannel()?.postMessage(state);
+}
+
+/** Calls `onState(state)` for each state posted; returns a function that stops listening. */
+export function subscribeDisplay(onState) {
+  if (typeof BroadcastChannel === "undefined") return () => {};
+  const listener = new BroadcastChannel(CHANNEL);
+  listener.onmessage = (e) => onState(e.data);
+  return () => listener.close();
+}
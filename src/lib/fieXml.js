@@ -0,0 +1,230 @@
+import { makeEmptyBout, sideScore, boutWinner } from './bout.js';
+import { MIN_POOL_SIZE, pairKey, pairBouts, poolPairs } from './pool.js';
+
+/**
+ * FIE XML competition files (as exchanged by FencingTime, Ophardt and Engarde)
+ * - Import: `<Tireurs>` become the roster; `<Poule>` assignments, when present,
+ *   fill the pools together with any `<Match>` scores
+ * - Export: roster, every pool with per-fencer totals and every bout score,
+ *   plus the overall ranking after the pool round
+ * - Names are kept as "LASTNAME Firstname": `Nom` is the first word, `Prenom` the rest
+ */
+
+// -------- Export --------
+function escapeXml(v) {
+  return String(v ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function attrs(obj) {
+  return Object.entries(obj)
+    .filter(([, v]) => v !== undefined && v !== null && v !== "")
+    .map(([k, v]) => ` ${k}="${escapeXml(v)}"`)
+    .join("");
+}
+
+// Withdrawn and did-not-finish fencers are both an abandonment in FIE files
+function fieStatus(status) {
+  return status === "E" ? "E" : status ? "A" : undefined;
+}
+
+function splitName(name) {
+  const parts = String(name).trim().split(/\s+/);
+  return { Nom: parts[0] ?? "", Prenom: parts.slice(1).join(" ") };
+}
+
+function fieDate(iso) {
+  const [y, m, d] = String(iso).split("-");
+  return y && m && d ? `${d}.${m}.${y}` : "";
+}
+
+/**
+ * Builds the XML document text.
+ * `pools` carry their computed `standings` (see `computePoolStandings`) and
+ * `overall` is the cross-pool seeding with `promoted` flags. `weapon` is the
+ * FIE weapon code (F, E or S) and `round` the pool round being exported.
+ */
+export function buildCompetitionXml({ title, weapon, round = 1, pools, roster, overall }) {
+  const rosterById = new Map(roster.map((f) => [f.id, f]));
+  let nextId = roster.reduce((max, f) => Math.max(max, f.id), 0) + 1;
+
+  // Every fencer in a pool needs an XML ID; unlinked names get fresh ones
+  const fencers = new Map();
+  const poolIds = pools.map((pool) =>
+    pool.standings.map((r) => {
+      const rosterId = pool.fencers[r.idx].rosterId;
+      const id = rosterById.has(rosterId) ? rosterId : nextId++;
+      if (!fencers.has(id)) {
+        const f = rosterById.get(id) ?? { name: r.name, club: "", nation: "", rating: "" };
+        fencers.set(id, f);
+      }
+      return id;
+    })
+  );
+  const idOf = (poolId, idx) => poolIds[pools.findIndex((p) => p.id === poolId)][idx];
+
+  const lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+  lines.push(`<CompetitionIndividuelle${attrs({ TitreLong: title, Arme: weapon, Date: fieDate(pools[0]?.date) })}>`);
+
+  lines.push("  <Tireurs>");
+  const overallById = new Map(overall.map((r) => [idOf(r.poolId, r.idx), r]));
+  fencers.forEach((f, id) => {
+    const o = overallById.get(id);
+    lines.push(
+      `    <Tireur${attrs({
+        ID: id,
+        ...splitName(f.name),
+        Nation: f.nation,
+        Club: f.club,
+        Ranking: f.seed,
+        Classement: o && !o.status ? o.Place : undefined,
+        Statut: o ? fieStatus(o.status) ?? (o.promoted ? "Q" : "N") : undefined,
+      })}/>`
+    );
+  });
+  lines.push("  </Tireurs>");
+
+  lines.push("  <Phases>");
+  lines.push(`    <TourDePoules${attrs({ PhaseID: `TourPoules${round}`, ID: round, NbDePoules: pools.length })}>`);
+  overall.forEach((r) => {
+    lines.push(
+      `      <Tireur${attrs({
+        REF: idOf(r.poolId, r.idx),
+        RangInitial: r.seed,
+        RangFinal: r.status ? undefined : r.Place,
+        Statut: fieStatus(r.status) ?? (r.promoted ? "Q" : "N"),
+      })}/>`
+    );
+  });
+  pools.forEach((pool, p) => {
+    lines.push(`      <Poule${attrs({ ID: p + 1, Nom: pool.name, Date: fieDate(pool.date) })}>`);
+    pool.standings.forEach((r) => {
+      lines.push(
+        `        <Tireur${attrs({
+          REF: poolIds[p][r.idx],
+          NoDansLaPoule: r.idx + 1,
+          NbVictoires: r.V,
+          NbMatches: r.M,
+          TD: r.HS,
+          TR: r.HR,
+          RangPoule: r.status ? undefined : r.Place,
+          Statut: fieStatus(r.status),
+        })}/>`
+      );
+    });
+    let matchId = 1;
+    poolPairs(pool).forEach(({ i, j, x, y }) => {
+      pairBouts(pool, x, y).forEach((bt) => {
+        const w = boutWinner(bt);
+        if (!w) return;
+        lines.push(`        <Match${attrs({ ID: matchId++ })}>`);
+        lines.push(`          <Tireur${attrs({ REF: poolIds[p][i], Score: sideScore(bt, "a"), Statut: w === "a" ? "V" : "D" })}/>`);
+        lines.push(`          <Tireur${attrs({ REF: poolIds[p][j], Score: sideScore(bt, "b"), Statut: w === "b" ? "V" : "D" })}/>`);
+        lines.push("        </Match>");
+      });
+    });
+    lines.push("      </Poule>");
+  });
+  lines.push("    </TourDePoules>");
+  lines.push("  </Phases>");
+  lines.push("</CompetitionIndividuelle>");
+  return lines.join("\n");
+}
+
+// -------- Import --------
+function childElements(el, tag) {
+  return el ? Array.from(el.children).filter((c) => c.tagName === tag) : [];
+}
+
+// A Tireur's Score, or "" (not fenced) when the attribute is missing or blank
+function scoreOf(tireur) {
+  const raw = tireur.getAttribute("Score");
+  if (raw === null || raw.trim() === "") return "";
+  const n = Number(raw);
+  return Number.isFinite(n) ? n : "";
+}
+
+/**
+ * Parses a registration or results file.
+ * Returns `{ roster, pools }` where `pools` is null when the file has no pool
+ * assignment yet, or a list of `{ name, fencerIds, statuses, bouts, boutsPer }` otherwise.
+ * `bouts` is keyed as in the pool model, with each fencer's id being their
+ * 1-based number in the pool.
+ */
+export function parseCompetitionXml(text) {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length > 0) throw new Error("File is not valid XML");
+  const root = doc.documentElement;
+  if (root.tagName === "CompetitionParEquipes") throw new Error("Team competition files are not supported");
+  if (root.tagName !== "CompetitionIndividuelle") throw new Error("Not an FIE competition file");
+
+  const tireurs = childElements(childElements(root, "Tireurs")[0], "Tireur");
+  if (tireurs.length === 0) throw new Error("The file lists no fencers");
+
+  const idMap = new Map();
+  const roster = tireurs.map((t, k) => {
+    const id = k + 1;
+    idMap.set(t.getAttribute("ID"), id);
+    const name = [t.getAttribute("Nom"), t.getAttribute("Prenom")].filter(Boolean).join(" ");
+    return {
+      id,
+      name,
+      club: t.getAttribute("Club") ?? "",
+      nation: t.getAttribute("Nation") ?? "",
+      rating: "",
+      seed: t.getAttribute("Ranking") ?? "",
+    };
+  });
+
+  const phases = childElements(root, "Phases")[0];
+  const tour = childElements(phases, "TourDePoules")[0];
+  const poules = childElements(tour, "Poule");
+  if (poules.length === 0) return { roster, pools: null };
+
+  const pools = poules.map((poule, p) => {
+    const members = childElements(poule, "Tireur")
+      .map((t) => ({
+        ref: t.getAttribute("REF"),
+        no: Number(t.getAttribute("NoDansLaPoule")) || 0,
+        status: ["A", "E"].includes(t.getAttribute("Statut")) ? t.getAttribute("Statut") : "",
+      }))
+      .sort((a, b) => a.no - b.no);
+    if (members.length < MIN_POOL_SIZE) {
+      throw new Error(`Pool ${p + 1} has ${members.length} fencer(s); at least ${MIN_POOL_SIZE} are needed`);
+    }
+    const position = new Map(members.map((m, idx) => [m.ref, idx]));
+    members.forEach((m) => {
+      if (!idMap.has(m.ref)) throw new Error(`Pool ${p + 1} references unknown fencer ${m.ref}`);
+    });
+
+    const bouts = {};
+    childElements(poule, "Match").forEach((match) => {
+      const [t1, t2] = childElements(match, "Tireur");
+      if (!t1 || !t2) return;
+      let pa = position.get(t1.getAttribute("REF"));
+      let pb = position.get(t2.getAttribute("REF"));
+      if (pa === undefined || pb === undefined || pa === pb) return;
+      let [sa, sb] = [t1, t2];
+      if (pa > pb) [pa, pb, sa, sb] = [pb, pa, t2, t1];
+      const key = pairKey(pa + 1, pb + 1);
+      const list = bouts[key] ?? (bouts[key] = []);
+      const a = scoreOf(sa);
+      const b = scoreOf(sb);
+      const w = a !== "" && a === b ? (sa.getAttribute("Statut") === "V" ? "a" : sb.getAttribute("Statut") === "V" ? "b" : "") : "";
+      list.push({ ...makeEmptyBout(), a, b, w });
+    });
+
+    return {
+      name: poule.getAttribute("Nom") || `Pool ${p + 1}`,
+      fencerIds: members.map((m) => idMap.get(m.ref)),
+      statuses: members.map((m) => m.status),
+      boutsPer: Math.max(1, ...Object.values(bouts).map((l) => l.length)),
+      bouts,
+    };
+  });
+
+  return { roster, pools };
+}
@@ -0,0 +1,61 @@
+import { isBoutEmpty } from './bout.js';
+import { DEFAULT_POOL_TOUCHES, getBout, withBout, poolPairs } from './pool.js';
+
+/**
+ * Rating-based handicaps for club handicap pools
+ * - Pool fencers carry a `grade` (a number, higher is stronger; "" when ungraded)
+ * - A handicap table `{ name, step, touches }` gives the weaker fencer
+ *   `touches[d]` touches of start when the grades are `d` steps of `step`
+ *   apart; the last entry covers any larger gap
+ * - A pool records the table it uses as `handicap: { enabled, table }`.
+ *   Bouts not yet fenced are filled in from it, fenced bouts keep theirs
+ */
+
+export const DEFAULT_HANDICAP_TABLE = { name: "One touch per grade", step: 1, touches: [0, 1, 2, 3, 4] };
+
+function gradeOf(fencer) {
+  const g = fencer.grade;
+  if (g === "" || g === null || g === undefined) return null;
+  const n = Number(g);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Starting touches `{ ha, hb }` for a bout between `fa` (side "a") and `fb`,
+ * capped so the bout can still be fenced. Ungraded fencers get none.
+ */
+export function handicapFor(table, fa, fb, maxTouches) {
+  const ga = gradeOf(fa);
+  const gb = gradeOf(fb);
+  if (ga === null || gb === null || ga === gb) return { ha: 0, hb: 0 };
+  const steps = Math.floor(Math.abs(ga - gb) / table.step);
+  const given = Math.min(table.touches[Math.min(steps, table.touches.length - 1)] ?? 0, maxTouches - 1);
+  return ga < gb ? { ha: given, hb: 0 } : { ha: 0, hb: given };
+}
+
+/**
+ * Returns `pool` with the handicaps of every bout not yet fenced set from its
+ * table, or cleared when the pool's handicaps are switched off.
+ */
+export function applyHandicaps(pool) {
+  const fencers = new Map(pool.fencers.map((f) => [f.id, f]));
+  let next = pool;
+  poolPairs(pool).forEach(({ x, y }) => {
+    for (let k = 0; k < pool.boutsPer; k++) {
+      const bt = getBout(next, x, y, k);
+      if (!isBoutEmpty(bt)) continue;
+      const { ha, hb } = pool.handicap?.enabled
+        ? handicapFor(pool.handicap.table, fencers.get(x), fencers.get(y), pool.maxTouches ?? DEFAULT_POOL_TOUCHES)
+        : { ha: 0, hb: 0 };
+      if (bt.ha !== ha || bt.hb !== hb) next = withBout(next, x, y, k, { ...bt, ha, hb });
+    }
+  });
+  return next;
+}
+
+/** "0, 1, 2" → [0, 1, 2]; null unless every entry is a whole number of touches. */
+export function parseTouches(text) {
+  const parts = text.split(/[\s,;]+/).filter(Boolean);
+  const touches = parts.map(Number);
+  return touches.length > 0 && touches.every((n) => Number.isInteger(n) && n >= 0) ? touches : null;
+}
@@ -0,0 +1,154 @@
+import { makeEmptyBout, otherSide } from './bout.js';
+
+/**
+ * Pool data model
+ * - `fencers` lists the pool in sheet order as `{ id, name, status, rosterId, grade }`;
+ *   ids are stable within the pool, so reordering or removing fencers never
+ *   moves a result onto someone else
+ * - `bouts` maps a pair of fencer ids ("3-7", lower id first) to that pair's
+ *   bouts, stored with side "a" as the lower id; pairs never touched have no entry
+ * - Sheet code works in row/column positions and reads bouts through
+ *   `pairBouts` / `withBout`, which turn them round as needed
+ */
+
+export const MIN_POOL_SIZE = 2;
+export const DEFAULT_POOL_SIZE = 6;
+export const DEFAULT_BOUTS_PER = 2;
+export const DEFAULT_POOL_TOUCHES = 5;
+
+export function pairKey(x, y) {
+  return x < y ? `${x}-${y}` : `${y}-${x}`;
+}
+
+/** The same bout seen from the other side: scores, handicaps, penalties, winner, cards and relay legs swap over. */
+export function flipBout(bt) {
+  return {
+    ...bt,
+    a: bt.b,
+    b: bt.a,
+    ha: bt.hb,
+    hb: bt.ha,
+    pa: bt.pb,
+    pb: bt.pa,
+    w: bt.w ? otherSide(bt.w) : "",
+    cards: (bt.cards ?? []).map((c) => ({ ...c, side: otherSide(c.side) })),
+    ...(bt.relay && {
+      relay: {
+        first: otherSide(bt.relay.first),
+        legs: bt.relay.legs.map((l) => ({ fa: l.fb, fb: l.fa, ta: l.tb, tb: l.ta })),
+      },
+    }),
+  };
+}
+
+export function makePoolFencer(id, name, extra = {}) {
+  return { id, name, status: "", rosterId: null, grade: "", ...extra };
+}
+
+export function createEmptyPool(name, id, size = DEFAULT_POOL_SIZE) {
+  return {
+    id,
+    name,
+    date: new Date().toISOString().slice(0, 10),
+    boutsPer: DEFAULT_BOUTS_PER,
+    maxTouches: DEFAULT_POOL_TOUCHES,
+    fencers: Array.from({ length: size }, (_, i) => makePoolFencer(i + 1, `F${i + 1}`)),
+    bouts: {},
+  };
+}
+
+/** A pool of the given `{ name, rosterId, status?, grade? }` entries, in that order. */
+export function createRosterPool(name, id, entries) {
+  return {
+    ...createEmptyPool(name, id, 0),
+    fencers: entries.map((e, i) =>
+      makePoolFencer(i + 1, e.name, { rosterId: e.rosterId, status: e.status ?? "", grade: e.grade ?? "" })
+    ),
+  };
+}
+
+/** Bout `k` between fencers `x` and `y` (ids), with side "a" as `x`. */
+export function getBout(pool, x, y, k) {
+  const stored = pool.bouts[pairKey(x, y)]?.[k] ?? makeEmptyBout();
+  return x < y ? stored : flipBout(stored);
+}
+
+/** The first `boutsPer` bouts between fencers `x` and `y`, with side "a" as `x`. */
+export function pairBouts(pool, x, y) {
+  return Array.from({ length: pool.boutsPer }, (_, k) => getBout(pool, x, y, k));
+}
+
+/** Returns `pool` with bout `k` between `x` and `y` replaced (`bout` seen from `x`). */
+export function withBout(pool, x, y, k, bout) {
+  const key = pairKey(x, y);
+  const list = [...(pool.bouts[key] ?? [])];
+  while (list.length <= k) list.push(makeEmptyBout());
+  list[k] = x < y ? bout : flipBout(bout);
+  return { ...pool, bouts: { ...pool.bouts, [key]: list } };
+}
+
+/** Every pair of fencers in sheet order: `{ i, j, x, y }` with positions i < j and their ids. */
+export function poolPairs(pool) {
+  const pairs = [];
+  pool.fencers.forEach((fx, i) => {
+    pool.fencers.slice(i + 1).forEach((fy, d) => {
+      pairs.push({ i, j: i + 1 + d, x: fx.id, y: fy.id });
+    });
+  });
+  return pairs;
+}
+
+function nextFencerId(pool) {
+  return pool.fencers.reduce((max, f) => Math.max(max, f.id), 0) + 1;
+}
+
+export function addPoolFencer(pool, name, extra = {}) {
+  const id = nextFencerId(pool);
+  return { ...pool, fencers: [...pool.fencers, makePoolFencer(id, name ?? `F${pool.fencers.length + 1}`, extra)] };
+}
+
+/** Removes a fencer together with the bouts they fenced. */
+export function removePoolFencer(pool, id) {
+  const bouts = Object.fromEntries(
+    Object.entries(pool.bouts).filter(([key]) => !key.split("-").map(Number).includes(id))
+  );
+  return { ...pool, fencers: pool.fencers.filter((f) => f.id !== id), bouts };
+}
+
+/** Moves the fencer at position `from` to position `to`; their bouts go with them. */
+export function movePoolFencer(pool, from, to) {
+  const fencers = [...pool.fencers];
+  const [f] = fencers.splice(from, 1);
+  fencers.splice(to, 0, f);
+  return { ...pool, fencers };
+}
+
+export function updatePoolFencer(pool, id, updates) {
+  return { ...pool, fencers: pool.fencers.map((f) => (f.id === id ? { ...f, ...updates } : f)) };
+}
+
+/** Whether any bout involving fencer `id` has been scored. */
+export function fencerHasResults(pool, id) {
+  return Object.entries(pool.bouts).some(([key, list]) =>
+    key.split("-").map(Number).includes(id) && list.some((bt) => bt.a !== "" || bt.b !== "")
+  );
+}
+
+/**
+ * Converts a pool saved with the old fixed layout (10 `names` / `statuses` /
+ * `fencerIds` slots and a 10×10 `pairs` matrix, only the first `size` in use)
+ * to the current model. Fencer ids are their old 1-based positions.
+ */
+export function migrateLegacyPool(pool) {
+  const { size, names, statuses, fencerIds, pairs, ...rest } = pool;
+  const fencers = Array.from({ length: size }, (_, i) =>
+    makePoolFencer(i + 1, names[i], { status: statuses?.[i] ?? "", rosterId: fencerIds?.[i] ?? null })
+  );
+  const bouts = {};
+  for (let i = 0; i < size; i++) {
+    for (let j = i + 1; j < size; j++) {
+      bouts[pairKey(i + 1, j + 1)] = pairs[i][j];
+    }
+  }
+  return { ...rest, fencers, bouts };
+}
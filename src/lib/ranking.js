@@ -0,0 +1,87 @@
+/**
+ * Ranking rules for pool standings
+ * - A ranking profile is an ordered list of criteria: fencers level on one
+ *   criterion are separated by the next
+ * - Head-to-head only separates exactly two level fencers, by who won more of
+ *   their bouts against each other
+ * - Fencers still level after every criterion share a place, unless a barrage
+ *   between exactly them has settled it (see barrage.js)
+ */
+
+export const CRITERIA = {
+  ratio: { label: "V/M", value: (r) => (r.M > 0 ? r.V / r.M : 0) },
+  V: { label: "Victories", value: (r) => r.V },
+  IND: { label: "Indicator (HS − HR)", value: (r) => r.IND },
+  HS: { label: "Touches scored", value: (r) => r.HS },
+  HR: { label: "Fewest touches received", value: (r) => -r.HR },
+  touchRatio: { label: "Touch ratio (HS / HR)", value: (r) => (r.HR > 0 ? r.HS / r.HR : r.HS > 0 ? Infinity : 0) },
+  h2h: { label: "Head-to-head", pairwise: true },
+};
+
+export const RANKING_PROFILES = {
+  fie: { label: "FIE", criteria: ["ratio", "IND", "HS"] },
+  h2h: { label: "Head-to-head", criteria: ["ratio", "h2h", "IND", "HS"] },
+  touchRatio: { label: "Touch ratio", criteria: ["ratio", "touchRatio", "HS"] },
+  custom: { label: "Custom", criteria: null },
+};
+
+export const DEFAULT_RANKING = { profile: "fie", criteria: RANKING_PROFILES.fie.criteria };
+
+/** The criteria a pool ranks by; pools saved without a profile use FIE. */
+export function rankingCriteria(ranking) {
+  if (!ranking) return RANKING_PROFILES.fie.criteria;
+  return RANKING_PROFILES[ranking.profile]?.criteria ?? ranking.criteria;
+}
+
+export function rankingText(ranking) {
+  const criteria = rankingCriteria(ranking);
+  return `${RANKING_PROFILES[ranking?.profile ?? "fie"].label}: ${criteria.map((c) => CRITERIA[c].label).join(", ")}`;
+}
+
+// Splits a group of level rows by one criterion, best first
+function split(group, criterion) {
+  if (criterion.pairwise) {
+    if (group.length !== 2) return [group];
+    const [a, b] = group;
+    const net = a.vs?.get(b.ref) ?? 0;
+    if (net > 0) return [[a], [b]];
+    if (net < 0) return [[b], [a]];
+    return [group];
+  }
+  const sorted = [...group].sort((a, b) => criterion.value(b) - criterion.value(a));
+  const groups = [];
+  sorted.forEach((r, k) => {
+    if (k > 0 && criterion.value(r) === criterion.value(sorted[k - 1])) groups[groups.length - 1].push(r);
+    else groups.push([r]);
+  });
+  return groups;
+}
+
+function level(group, criteria) {
+  if (group.length < 2 || criteria.length === 0) return [group];
+  return split(group, CRITERIA[criteria[0]]).flatMap((g) => level(g, criteria.slice(1)));
+}
+
+/**
+ * Ranks `rows` (each with a unique `ref`, its stats and, for head-to-head,
+ * `vs`: a Map of opponent ref → bouts won minus bouts lost against them).
+ * Rows left level keep their input order. `settle(group)` may return the
+ * group in barrage order, or null when no barrage has decided it.
+ *
+ * Returns the rows in ranking order with `Place` and `tie` (the refs of the
+ * fencers sharing that place, or null).
+ */
+export function rankRows(rows, criteria, settle = () => null) {
+  const ranked = [];
+  level(rows, criteria).forEach((group) => {
+    const place = ranked.length + 1;
+    const settled = group.length > 1 ? settle(group) : null;
+    if (settled) {
+      settled.forEach((r, k) => ranked.push({ ...r, Place: place + k, tie: null }));
+      return;
+    }
+    const tie = group.length > 1 ? group.map((r) => r.ref) : null;
+    group.forEach((r) => ranked.push({ ...r, Place: place, tie }));
+  });
+  return ranked;
+}
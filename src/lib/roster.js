@@ -0,0 +1,94 @@
+import { MIN_POOL_SIZE } from './pool.js';
+
+/**
+ * Event roster and pool draw
+ * - Roster fencers are `{ id, name, club, nation, rating, seed }`
+ * - Pools are filled by serpentine seeding so every pool gets a similar spread
+ * - Within each serpentine tier fencers are shuffled between pools to keep
+ *   clubmates (then compatriots) apart wherever possible
+ */
+
+export const MAX_POOL_SIZE = 12;
+
+export function makeRosterFencer(id) {
+  return { id, name: "", club: "", nation: "", rating: "", seed: "" };
+}
+
+function numberOr(v, fallback) {
+  const n = Number(v);
+  return v === "" || v === null || v === undefined || !Number.isFinite(n) ? fallback : n;
+}
+
+/** Seeding order: explicit seed first, then higher rating, then name. */
+export function compareRoster(a, b) {
+  const sa = numberOr(a.seed, Infinity), sb = numberOr(b.seed, Infinity);
+  if (sa !== sb) return sa - sb;
+  const ra = numberOr(a.rating, -Infinity), rb = numberOr(b.rating, -Infinity);
+  if (ra !== rb) return rb - ra;
+  return a.name.localeCompare(b.name);
+}
+
+/** Pool sizes for `total` fencers over `poolCount` pools, differing by at most one. */
+export function balancedSizes(total, poolCount) {
+  const base = Math.floor(total / poolCount);
+  const extra = total % poolCount;
+  return Array.from({ length: poolCount }, (_, p) => base + (p < extra ? 1 : 0));
+}
+
+function sameGroup(a, b, key) {
+  const x = (a[key] || "").trim().toLowerCase();
+  return x !== "" && x === (b[key] || "").trim().toLowerCase();
+}
+
+function conflictCost(fencer, members) {
+  let cost = 0;
+  members.forEach((m) => {
+    if (sameGroup(fencer, m, "club")) cost += 100;
+    if (sameGroup(fencer, m, "nation")) cost += 1;
+  });
+  return cost;
+}
+
+/**
+ * Splits the roster into `poolCount` pools. Returns an array of fencer id lists.
+ * Throws when the pools would fall outside the sizes a pool sheet supports.
+ */
+export function drawPools(roster, poolCount) {
+  const fencers = roster.filter((f) => f.name.trim() !== "").sort(compareRoster);
+  if (poolCount < 1) throw new Error("Need at least one pool");
+  const sizes = balancedSizes(fencers.length, poolCount);
+  if (sizes[poolCount - 1] < MIN_POOL_SIZE) {
+    throw new Error(`${fencers.length} fencers is too few for ${poolCount} pools`);
+  }
+  if (sizes[0] > MAX_POOL_SIZE) {
+    throw new Error(`${fencers.length} fencers needs at least ${Math.ceil(fencers.length / MAX_POOL_SIZE)} pools`);
+  }
+
+  const pools = Array.from({ length: poolCount }, () => []);
+  for (let start = 0, tier = 0; start < fencers.length; start += poolCount, tier++) {
+    const row = fencers.slice(start, start + poolCount);
+    // Serpentine: left to right on even tiers, right to left on odd ones
+    const order = Array.from({ length: poolCount }, (_, p) => (tier % 2 === 0 ? p : poolCount - 1 - p));
+    const open = order.filter((p) => pools[p].length < sizes[p]);
+    row.forEach((fencer) => {
+      // Pick the least-conflicting open pool, keeping serpentine order on ties
+      let best = open[0];
+      open.forEach((p) => {
+        if (conflictCost(fencer, pools[p]) < conflictCost(fencer, pools[best])) best = p;
+      });
+      pools[best].push(fencer);
+      open.splice(open.indexOf(best), 1);
+    });
+  }
+  return pools.map((members) => members.map((f) => f.id));
+}
+
+/** Club names that appear more than once among `ids`. */
+export function clubClashes(ids, rosterById) {
+  const counts = new Map();
+  ids.forEach((id) => {
+    const club = (rosterById.get(id)?.club || "").trim();
+    if (club) counts.set(club.toLowerCase(), { club, n: (counts.get(club.toLowerCase())?.n ?? 0) + 1 });
+  });
+  return [...counts.values()].filter((c) => c.n > 1).map((c) => c.club);
+}
@@ -0,0 +1,67 @@
+import { boutWinner, safeInt, sideScore } from './bout.js';
+
+/**
+ * Paper-sheet score entry for the pool grid
+ * - A cell holds the row fencer's side of each bout against the column
+ *   fencer, as on the paper sheet: "V5", "D3" or just the touches "4", one
+ *   entry per bout ("-" for a bout not fenced yet)
+ * - Bouts are read with the row fencer as side "a"; the column fencer's cell
+ *   shows the same bouts from the other side
+ * - Typed touches are the fencer's total, handicap and penalty touches included
+ */
+
+const ENTRY = /^([VD])?(\d+)$/i;
+
+/** Sheet text of side "a" of `bouts`, e.g. "V5 D3". */
+export function cellText(bouts) {
+  const entries = bouts.map((bt) => {
+    if (bt.a === "") return "-";
+    const score = sideScore(bt, "a");
+    if (bt.b === "") return bt.w ? `${bt.w === "a" ? "V" : "D"}${score}` : `${score}`;
+    const w = boutWinner(bt);
+    return w ? `${w === "a" ? "V" : "D"}${score}` : `${score}`;
+  });
+  while (entries.length > 0 && entries[entries.length - 1] === "-") entries.pop();
+  return entries.join(" ");
+}
+
+/**
+ * Reads sheet text into side "a" of `bouts`. Returns `{ bouts }` with the
+ * changed bouts replaced, or `{ error }` describing what cannot be right.
+ */
+export function applyCellText(bouts, text, maxTouches) {
+  const tokens = text.trim().split(/[\s,;]+/).filter(Boolean);
+  if (tokens.length > bouts.length) {
+    return { error: `Only ${bouts.length} bout${bouts.length > 1 ? "s" : ""} per pairing` };
+  }
+  const next = [];
+  for (let k = 0; k < bouts.length; k++) {
+    const bt = bouts[k];
+    const token = tokens[k] ?? "-";
+    if (token === "-") {
+      next.push(bt.a === "" ? bt : { ...bt, a: "", w: "", priority: false });
+      continue;
+    }
+    const m = ENTRY.exec(token);
+    if (!m) return { error: `"${token}" is not V5, D3 or a number of touches` };
+    const total = Number(m[2]);
+    if (total > maxTouches) return { error: `${total} is more than ${maxTouches} touches` };
+    const touches = total - safeInt(bt.ha) - safeInt(bt.pa);
+    if (touches < 0) return { error: `${total} is less than the handicap and penalty touches already given` };
+    let out = { ...bt, a: touches };
+    const letter = m[1]?.toUpperCase();
+    if (letter) out = { ...out, w: letter === "V" ? "a" : "b" };
+    if (out.b !== "") {
+      const sa = sideScore(out, "a");
+      const sb = sideScore(out, "b");
+      if (sa === maxTouches && sb === maxTouches) return { error: `Both fencers cannot reach ${maxTouches}` };
+      if (letter && boutWinner(out) !== out.w) {
+        return { error: `${token} does not match the opponent's ${sb}` };
+      }
+      out = { ...out, priority: sa === sb && !!out.w };
+    }
+    const same = out.a === bt.a && out.w === bt.w && out.priority === bt.priority;
+    next.push(same ? bt : out);
+  }
+  return { bouts: next };
+}
@@ -0,0 +1,174 @@
+import { boutWinner, sideScore } from './bout.js';
+import { pairBouts, poolPairs } from './pool.js';
+import { RANKING_PROFILES, rankingCriteria, rankRows } from './ranking.js';
+import { fencerRef, barrageSettler } from './barrage.js';
+
+/**
+ * Pool standings and the overall seeding
+ * - V, M, HS, HR and IND per fencer from the decided bouts, ranked by the
+ *   pool's ranking profile
+ * - One seeding list across every pool with the promotion cut
+ * - CSV rows for the pool standings and the overall seeding
+ * - Pure functions, shared by the editing view, the hall display and the
+ *   command-line tool in scripts/standings.js
+ */
+
+export const DEFAULT_PROMOTION = { mode: "percent", value: 80 };
+
+// Fencers with one of these statuses have every bout in the pool annulled
+export const FENCER_STATUSES = {
+  A: "Abandoned / withdrawn",
+  E: "Excluded",
+  DNF: "Did not finish",
+};
+
+/**
+ * Aggregates the decided bouts of one pairing.
+ * Undecided bouts (empty, or tied with no winner) are not counted.
+ */
+export function calcPairStats(bouts) {
+  let vA = 0, vB = 0, hsA = 0, hsB = 0, m = 0;
+  bouts.forEach((bt) => {
+    const winner = boutWinner(bt);
+    if (!winner) return;
+    m += 1;
+    hsA += sideScore(bt, "a");
+    hsB += sideScore(bt, "b");
+    if (winner === "a") vA += 1;
+    else vB += 1;
+  });
+  return { vA, vB, hsA, hsB, m };
+}
+
+export function victoryRatio(r) {
+  return r.M > 0 ? r.V / r.M : 0;
+}
+
+export function formatRatio(r) {
+  return victoryRatio(r).toFixed(3);
+}
+
+/**
+ * Per-fencer V, M, HS, HR, IND and Place for one pool, in fencer order, ranked
+ * by the pool's ranking profile; `rank` is the fencer's line in the standings.
+ * A fencer with a status is unranked (their Place is the status code) and all
+ * of their bouts are annulled for every opponent. Finished barrages in the
+ * pool's scope settle ties they were fenced for.
+ */
+export function computePoolStandings(pool, barrages = []) {
+  const res = pool.fencers.map((f, idx) => ({
+    idx,
+    id: f.id,
+    ref: fencerRef(pool.id, f.id),
+    name: f.name,
+    status: f.status,
+    V: 0,
+    M: 0,
+    HS: 0,
+    HR: 0,
+    IND: 0,
+    vs: new Map(),
+  }));
+
+  poolPairs(pool).forEach(({ i, j }) => {
+    if (res[i].status || res[j].status) return;
+    const stats = calcPairStats(pairBouts(pool, res[i].id, res[j].id));
+    res[i].V += stats.vA;
+    res[j].V += stats.vB;
+    res[i].M += stats.m;
+    res[j].M += stats.m;
+    res[i].HS += stats.hsA;
+    res[i].HR += stats.hsB;
+    res[j].HS += stats.hsB;
+    res[j].HR += stats.hsA;
+    res[i].vs.set(res[j].ref, stats.vA - stats.vB);
+    res[j].vs.set(res[i].ref, stats.vB - stats.vA);
+  });
+
+  res.forEach((r) => (r.IND = r.HS - r.HR));
+
+  const ranked = rankRows(
+    res.filter((r) => !r.status),
+    rankingCriteria(pool.ranking),
+    barrageSettler(barrages, `pool:${pool.id}`)
+  );
+  const byIdx = new Map(ranked.map((r, k) => [r.idx, { ...r, rank: k }]));
+  return res.map((r) => byIdx.get(r.idx) ?? { ...r, Place: r.status, tie: null, rank: ranked.length + r.idx });
+}
+
+/** Pool standings in ranking order. */
+export function sortStandings(standings) {
+  return [...standings].sort((a, b) => a.rank - b.rank);
+}
+
+/**
+ * Merges every pool's standings into one seeding list ranked by V/M, IND, HS.
+ * `promotion` is `{ mode: "percent" | "count", value }` of the ranked fencers;
+ * fencers tied on the cut line are all promoted (and flagged `onCut`) unless a
+ * barrage has settled the tie. Fencers with a status are never promoted.
+ */
+export function computeOverallSeeding(pools, promotion, barrages = []) {
+  const rows = pools.flatMap((pool) =>
+    computePoolStandings(pool, barrages).map((r) => ({
+      ...r,
+      poolId: pool.id,
+      poolName: pool.name,
+      poolPlace: r.Place,
+    }))
+  );
+  // Pool order and position keep level fencers in a stable listing
+  const poolOrder = new Map(pools.map((p, k) => [p.id, k]));
+  rows.sort((a, b) => poolOrder.get(a.poolId) - poolOrder.get(b.poolId) || a.idx - b.idx);
+  const ranked = rankRows(rows.filter((r) => !r.status), RANKING_PROFILES.fie.criteria, barrageSettler(barrages, "cut"));
+  const total = ranked.length;
+  const cut = promotion.mode === "count"
+    ? Math.min(total, Math.max(0, Math.floor(promotion.value)))
+    : Math.round((total * Math.min(100, Math.max(0, promotion.value))) / 100);
+
+  return [
+    ...ranked.map((r) => ({
+      ...r,
+      tied: !!r.tie,
+      promoted: r.Place <= cut,
+      onCut: !!r.tie && r.Place <= cut && r.Place + r.tie.length - 1 > cut,
+    })),
+    ...rows.filter((r) => r.status).map((r) => ({ ...r, Place: r.status, tied: false, promoted: false, onCut: false })),
+  ].map((r, k) => ({ ...r, seed: k + 1 }));
+}
+
+// -------- CSV rows --------
+export const STANDINGS_COLUMNS = ["#", "Name", "V", "M", "V/M", "HS", "HR", "IND", "Status"];
+
+/** CSV rows for pool standings in ranking order (see `sortStandings`). */
+export function standingsRows(sorted) {
+  return sorted.map((r) => [
+    r.Place,
+    r.name,
+    r.V,
+    r.M,
+    formatRatio(r),
+    r.HS,
+    r.HR,
+    r.IND,
+    r.status ? FENCER_STATUSES[r.status] : "",
+  ]);
+}
+
+export const OVERALL_COLUMNS = ["Seed", "Place", "Name", "Pool", "Pool place", "V", "M", "V/M", "HS", "HR", "IND", "Status"];
+
+export function overallRows(seeding) {
+  return seeding.map((r) => [
+    r.seed,
+    `${r.Place}${r.tied ? "T" : ""}`,
+    r.name,
+    r.poolName,
+    r.poolPlace,
+    r.V,
+    r.M,
+    formatRatio(r),
+    r.HS,
+    r.HR,
+    r.IND,
+    r.promoted ? "Qualified" : "Eliminated",
+  ]);
+}
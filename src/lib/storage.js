@@ -0,0 +1,523 @@
+/**
+ * Tournament persistence
+ * - Autosave of the live tournament state to IndexedDB
+ * - Named snapshots that can be restored later
+ * - Versioned JSON file export/import with shape validation
+ * - The scorer's name for the audit log and live sync settings, remembered per device
+ */
+
+import { MIN_POOL_SIZE, migrateLegacyPool } from './pool.js';
+import { CRITERIA, RANKING_PROFILES } from './ranking.js';
+import { RELAY_ORDER, SUBSTITUTE } from './team.js';
+import { WEAPONS, migrateFlatState } from './tournament.js';
+
+const FENCER_STATUS_CODES = ["", "A", "E", "DNF"];
+
+const DB_NAME = "fencingpool";
+const DB_VERSION = 1;
+const STATE_STORE = "state";
+const SNAPSHOT_STORE = "snapshots";
+const AUTOSAVE_KEY = "autosave";
+const SCORER_KEY = "fencingpool.scorer";
+const SYNC_KEY = "fencingpool.sync";
+
+export const FILE_FORMAT = "fencingpool";
+export const FILE_VERSION = 3;
+// Version 1 files hold pools in the old fixed layout and version 2 files a
+// single event; both are migrated on load
+const READABLE_VERSIONS = [1, 2, 3];
+
+// -------- IndexedDB plumbing --------
+let dbPromise = null;
+
+function openDB() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not available in this browser"));
+      return;
+    }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(STATE_STORE)) {
+        db.createObjectStore(STATE_STORE);
+      }
+      if (!db.objectStoreNames.contains(SNAPSHOT_STORE)) {
+        db.createObjectStore(SNAPSHOT_STORE, { keyPath: "id", autoIncrement: true });
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  // Allow a later retry if opening failed (e.g. private mode quota errors)
+  dbPromise.catch(() => { dbPromise = null; });
+  return dbPromise;
+}
+
+function run(storeName, mode, fn) {
+  return openDB().then(
+    (db) =>
+      new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const req = fn(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(req ? req.result : undefined);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+      })
+  );
+}
+
+// -------- Autosave --------
+export function saveState(state) {
+  return run(STATE_STORE, "readwrite", (store) =>
+    store.put({ savedAt: new Date().toISOString(), state }, AUTOSAVE_KEY)
+  );
+}
+
+export async function loadState() {
+  const record = await run(STATE_STORE, "readonly", (store) => store.get(AUTOSAVE_KEY));
+  if (!record) return null;
+  return { savedAt: record.savedAt, state: validateState(record.state) };
+}
+
+/**
+ * Copies the autosaved state, as stored, into a snapshot named `name`, so a
+ * record that can no longer be restored is kept before anything replaces it.
+ * Resolves to false when there is no autosave.
+ */
+export async function keepAutosave(name) {
+  const record = await run(STATE_STORE, "readonly", (store) => store.get(AUTOSAVE_KEY));
+  if (!record) return false;
+  await saveSnapshot(name, record.state);
+  return true;
+}
+
+// -------- Snapshots --------
+export function saveSnapshot(name, state) {
+  return run(SNAPSHOT_STORE, "readwrite", (store) =>
+    store.add({ name, createdAt: new Date().toISOString(), state })
+  );
+}
+
+export async function listSnapshots() {
+  const all = await run(SNAPSHOT_STORE, "readonly", (store) => store.getAll());
+  return all
+    .map(({ id, name, createdAt }) => ({ id, name, createdAt }))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+export async function loadSnapshot(id) {
+  const record = await run(SNAPSHOT_STORE, "readonly", (store) => store.get(id));
+  if (!record) throw new Error("Snapshot not found");
+  return validateState(record.state);
+}
+
+export function deleteSnapshot(id) {
+  return run(SNAPSHOT_STORE, "readwrite", (store) => store.delete(id));
+}
+
+// -------- Validation --------
+function fail(path, msg) {
+  throw new Error(`Invalid tournament data at ${path}: ${msg}`);
+}
+
+function isScore(v) {
+  return v === "" || (Number.isInteger(v) && v >= 0) || (typeof v === "string" && /^\d+$/.test(v));
+}
+
+function validateBout(bt, path) {
+  if (!bt || typeof bt !== "object") fail(path, "bout must be an object");
+  ["a", "b"].forEach((k) => {
+    if (!isScore(bt[k])) fail(`${path}.${k}`, "score must be empty or a non-negative integer");
+  });
+  ["ha", "hb"].forEach((k) => {
+    if (!Number.isInteger(bt[k]) || bt[k] < 0) fail(`${path}.${k}`, "handicap must be a non-negative integer");
+  });
+  if (bt.w !== undefined && !["", "a", "b"].includes(bt.w)) fail(`${path}.w`, 'winner must be "", "a" or "b"');
+  ["pa", "pb"].forEach((k) => {
+    if (bt[k] !== undefined && (!Number.isInteger(bt[k]) || bt[k] < 0)) fail(`${path}.${k}`, "penalty touches must be a non-negative integer");
+  });
+  if (bt.cards !== undefined) {
+    if (!Array.isArray(bt.cards)) fail(`${path}.cards`, "must be an array");
+    bt.cards.forEach((c, idx) => {
+      if (!c || !["a", "b"].includes(c.side) || !["Y", "R", "B"].includes(c.type)) {
+        fail(`${path}.cards[${idx}]`, "expected { side, type } with a Y/R/B card");
+      }
+    });
+  }
+  ["referee", "piste", "start", "end"].forEach((k) => {
+    if (bt[k] !== undefined && typeof bt[k] !== "string") fail(`${path}.${k}`, "must be a string");
+  });
+  if (bt.relay !== undefined) validateRelay(bt.relay, `${path}.relay`);
+  if (bt.seeds !== undefined && (!Array.isArray(bt.seeds) || bt.seeds.length !== 2 || !bt.seeds.every((s) => Number.isInteger(s) && s > 0))) {
+    fail(`${path}.seeds`, "expected the two seeds who fenced the bout");
+  }
+}
+
+function validateRelay(relay, path) {
+  if (!relay || !["a", "b"].includes(relay.first)) fail(`${path}.first`, 'must be "a" or "b"');
+  if (!Array.isArray(relay.legs) || relay.legs.length !== RELAY_ORDER.length) fail(`${path}.legs`, `expected ${RELAY_ORDER.length} legs`);
+  relay.legs.forEach((l, k) => {
+    const legPath = `${path}.legs[${k}]`;
+    if (!l || ![l.fa, l.fb].every((m) => Number.isInteger(m) && m >= 0 && m <= SUBSTITUTE)) fail(legPath, "expected team member positions fa / fb");
+    if (!isScore(l.ta) || !isScore(l.tb)) fail(legPath, "touches must be empty or a non-negative integer");
+  });
+}
+
+function validateMembers(members, path) {
+  if (members === undefined) return;
+  if (!Array.isArray(members) || members.length !== SUBSTITUTE + 1 || members.some((m) => typeof m !== "string")) {
+    fail(path, `expected ${SUBSTITUTE + 1} team member names`);
+  }
+}
+
+/** Checks the `pairs` matrix of a legacy pool (see `validateLegacyPool`). */
+function validatePairs(pairs, size, path) {
+  if (!Array.isArray(pairs) || pairs.length !== size) fail(path, `expected ${size} rows`);
+  pairs.forEach((row, i) => {
+    if (!Array.isArray(row) || row.length !== size) fail(`${path}[${i}]`, `expected ${size} columns`);
+    row.forEach((cell, j) => {
+      const cellPath = `${path}[${i}][${j}]`;
+      if (i >= j) {
+        if (cell !== null) fail(cellPath, "diagonal and lower triangle must be null");
+        return;
+      }
+      if (!Array.isArray(cell) || cell.length !== 4) fail(cellPath, "expected 4 bouts");
+      cell.forEach((bt, k) => validateBout(bt, `${cellPath}[${k}]`));
+    });
+  });
+}
+
+function validatePoolSettings(pool, path) {
+  if (!pool || typeof pool !== "object") fail(path, "pool must be an object");
+  if (!Number.isInteger(pool.id)) fail(`${path}.id`, "must be an integer");
+  if (typeof pool.name !== "string") fail(`${path}.name`, "must be a string");
+  if (typeof pool.date !== "string") fail(`${path}.date`, "must be a string");
+  if (!Number.isInteger(pool.boutsPer) || pool.boutsPer < 1) fail(`${path}.boutsPer`, "must be a positive integer");
+  if (pool.maxTouches !== undefined && (!Number.isInteger(pool.maxTouches) || pool.maxTouches < 1)) {
+    fail(`${path}.maxTouches`, "must be a positive integer");
+  }
+}
+
+/** Pools saved before fencers were kept by id: 10 fixed slots and a 10×10 `pairs` matrix. */
+function validateLegacyPool(pool, path) {
+  validatePoolSettings(pool, path);
+  if (!Number.isInteger(pool.size) || pool.size < 2 || pool.size > 10) fail(`${path}.size`, "must be 2–10");
+  if (!Array.isArray(pool.names) || pool.names.length !== 10 || pool.names.some((n) => typeof n !== "string")) {
+    fail(`${path}.names`, "expected 10 names");
+  }
+  if (pool.statuses !== undefined) {
+    if (!Array.isArray(pool.statuses) || pool.statuses.length !== 10 || pool.statuses.some((st) => !FENCER_STATUS_CODES.includes(st))) {
+      fail(`${path}.statuses`, 'expected 10 of "", "A", "E" or "DNF"');
+    }
+  }
+  if (pool.fencerIds !== undefined) {
+    if (!Array.isArray(pool.fencerIds) || pool.fencerIds.length !== 10 || pool.fencerIds.some((id) => id !== null && !Number.isInteger(id))) {
+      fail(`${path}.fencerIds`, "expected 10 roster ids or nulls");
+    }
+  }
+  validatePairs(pool.pairs, 10, `${path}.pairs`);
+}
+
+function validatePool(pool, path) {
+  validatePoolSettings(pool, path);
+  if (!Array.isArray(pool.fencers) || pool.fencers.length < MIN_POOL_SIZE) {
+    fail(`${path}.fencers`, `expected at least ${MIN_POOL_SIZE} fencers`);
+  }
+  const ids = new Set();
+  pool.fencers.forEach((f, k) => {
+    const fPath = `${path}.fencers[${k}]`;
+    if (!f || !Number.isInteger(f.id) || f.id < 1 || ids.has(f.id)) fail(`${fPath}.id`, "must be a unique positive integer");
+    ids.add(f.id);
+    if (typeof f.name !== "string") fail(`${fPath}.name`, "must be a string");
+    if (!FENCER_STATUS_CODES.includes(f.status)) fail(`${fPath}.status`, 'must be "", "A", "E" or "DNF"');
+    if (f.rosterId !== null && !Number.isInteger(f.rosterId)) fail(`${fPath}.rosterId`, "must be a roster id or null");
+    if (f.grade !== undefined && typeof f.grade !== "string") fail(`${fPath}.grade`, "must be a string");
+    validateMembers(f.members, `${fPath}.members`);
+  });
+  if (pool.team !== undefined && typeof pool.team !== "boolean") fail(`${path}.team`, "must be a boolean");
+  if (pool.finalized !== undefined && typeof pool.finalized !== "boolean") fail(`${path}.finalized`, "must be a boolean");
+  validateHandicaps(pool.handicap, `${path}.handicap`);
+  validateRanking(pool.ranking, `${path}.ranking`);
+  if (!pool.bouts || typeof pool.bouts !== "object" || Array.isArray(pool.bouts)) fail(`${path}.bouts`, "must be an object");
+  Object.entries(pool.bouts).forEach(([key, list]) => {
+    const m = /^(\d+)-(\d+)$/.exec(key);
+    if (!m || Number(m[1]) >= Number(m[2])) fail(`${path}.bouts["${key}"]`, 'key must be "<lower id>-<higher id>"');
+    if (!Array.isArray(list)) fail(`${path}.bouts["${key}"]`, "must be an array of bouts");
+    list.forEach((bt, k) => validateBout(bt, `${path}.bouts["${key}"][${k}]`));
+  });
+}
+
+function validateHandicapTable(table, path) {
+  if (!table || typeof table !== "object") fail(path, "must be an object");
+  if (typeof table.name !== "string") fail(`${path}.name`, "must be a string");
+  if (typeof table.step !== "number" || !(table.step > 0)) fail(`${path}.step`, "must be a positive number");
+  if (!Array.isArray(table.touches) || table.touches.length === 0 || table.touches.some((n) => !Number.isInteger(n) || n < 0)) {
+    fail(`${path}.touches`, "expected a list of touch counts");
+  }
+}
+
+/** A pool's handicap settings, or the tournament's default for new pools. */
+function validateHandicaps(handicap, path) {
+  if (handicap === undefined || handicap === null) return;
+  if (typeof handicap !== "object" || typeof handicap.enabled !== "boolean") fail(`${path}.enabled`, "must be a boolean");
+  validateHandicapTable(handicap.table, `${path}.table`);
+}
+
+function validateRanking(ranking, path) {
+  if (ranking === undefined) return;
+  if (!ranking || !(ranking.profile in RANKING_PROFILES)) fail(`${path}.profile`, "must be a ranking profile");
+  if (!Array.isArray(ranking.criteria) || ranking.criteria.length === 0 || ranking.criteria.some((c) => !(c in CRITERIA))) {
+    fail(`${path}.criteria`, "expected a list of ranking criteria");
+  }
+}
+
+function validateBarrages(barrages, path) {
+  if (barrages === undefined) return;
+  if (!Array.isArray(barrages)) fail(path, "must be an array");
+  barrages.forEach((b, k) => {
+    validatePool(b, `${path}[${k}]`);
+    if (!/^(cut|pool:\d+)$/.test(b.scope)) fail(`${path}[${k}].scope`, 'must be "cut" or "pool:<id>"');
+    b.fencers.forEach((f, i) => {
+      if (typeof f.ref !== "string") fail(`${path}[${k}].fencers[${i}].ref`, "must be a string");
+    });
+  });
+}
+
+function validatePromotion(promotion, path) {
+  if (promotion === undefined) return;
+  if (!promotion || !["percent", "count"].includes(promotion.mode)) fail(`${path}.mode`, 'must be "percent" or "count"');
+  if (typeof promotion.value !== "number" || !(promotion.value >= 0)) fail(`${path}.value`, "must be a non-negative number");
+}
+
+function validateBracket(bracket, path) {
+  if (bracket === undefined || bracket === null) return;
+  if (typeof bracket !== "object") fail(path, "must be an object");
+  const { size, entries, bouts } = bracket;
+  if (!Number.isInteger(size) || size < 2 || (size & (size - 1)) !== 0) fail(`${path}.size`, "must be a power of two");
+  if (!Array.isArray(entries) || entries.length > size) fail(`${path}.entries`, `expected at most ${size} entries`);
+  entries.forEach((e, k) => {
+    if (!e || typeof e.name !== "string" || e.seed !== k + 1) fail(`${path}.entries[${k}]`, "expected a named entry seeded in order");
+    validateMembers(e.members, `${path}.entries[${k}].members`);
+  });
+  if (bracket.maxTouches !== undefined && (!Number.isInteger(bracket.maxTouches) || bracket.maxTouches < 1)) {
+    fail(`${path}.maxTouches`, "must be a positive integer");
+  }
+  if (!bouts || typeof bouts !== "object") fail(`${path}.bouts`, "must be an object");
+  Object.entries(bouts).forEach(([key, bt]) => validateBout(bt, `${path}.bouts.${key}`));
+}
+
+function validateRoster(roster, path) {
+  if (roster === undefined) return;
+  if (!Array.isArray(roster)) fail(path, "must be an array");
+  const ids = new Set();
+  roster.forEach((f, k) => {
+    if (!f || !Number.isInteger(f.id) || ids.has(f.id)) fail(`${path}[${k}].id`, "must be a unique integer");
+    ids.add(f.id);
+    ["name", "club", "nation"].forEach((key) => {
+      if (typeof f[key] !== "string") fail(`${path}[${k}].${key}`, "must be a string");
+    });
+  });
+}
+
+function validateDraw(draw, roster, path) {
+  if (draw === undefined || draw === null) return;
+  if (!Array.isArray(draw.pools) || typeof draw.locked !== "boolean") fail(path, "expected { pools, locked }");
+  const ids = new Set((roster ?? []).map((f) => f.id));
+  draw.pools.forEach((list, p) => {
+    if (!Array.isArray(list) || list.some((id) => !ids.has(id))) fail(`${path}.pools[${p}]`, "must list roster ids");
+  });
+}
+
+function validateAudit(audit, path) {
+  if (audit === undefined) return;
+  if (!Array.isArray(audit)) fail(path, "must be an array");
+  audit.forEach((e, k) => {
+    if (!e || !Number.isInteger(e.poolId)) fail(`${path}[${k}].poolId`, "must be an integer");
+    ["at", "who", "action", "pool", "pair", "bout", "field", "from", "to"].forEach((key) => {
+      if (typeof e[key] !== "string") fail(`${path}[${k}].${key}`, "must be a string");
+    });
+  });
+}
+
+function validateSyncMeta(sync, path) {
+  if (sync === undefined) return;
+  if (!sync || typeof sync !== "object") fail(path, "must be an object");
+  if (!Number.isInteger(sync.clock) || !Number.isInteger(sync.seq)) fail(path, "clock and seq must be integers");
+  if (!sync.versions || typeof sync.versions !== "object") fail(`${path}.versions`, "must be an object");
+  if (typeof sync.epoch !== "string") fail(`${path}.epoch`, "must be a string");
+  if (sync.pending !== undefined) {
+    if (!Array.isArray(sync.pending)) fail(`${path}.pending`, "must be an array");
+    sync.pending.forEach((op, k) => {
+      if (!op || typeof op.key !== "string" || !op.stamp || !Number.isInteger(op.stamp.n) || typeof op.stamp.d !== "string") {
+        fail(`${path}.pending[${k}]`, "expected an operation with a key and stamp");
+      }
+    });
+  }
+}
+
+// One pool round: legacy pools are migrated, and their sync versions (which
+// refer to the old layout) dropped
+function validateRound(round, path) {
+  if (!round || typeof round !== "object") fail(path, "must be an object");
+  const { pools, activePoolId, nextPoolId, promotion, barrages, sync } = round;
+  if (!Array.isArray(pools) || pools.length === 0) fail(`${path}pools`, "must be a non-empty array");
+  const legacy = pools.some((p) => p && "pairs" in p);
+  const current = pools.map((p, idx) => {
+    if (!(p && "pairs" in p)) return p;
+    validateLegacyPool(p, `${path}pools[${idx}]`);
+    return migrateLegacyPool(p);
+  });
+  current.forEach((p, idx) => validatePool(p, `${path}pools[${idx}]`));
+  const ids = new Set(current.map((p) => p.id));
+  if (ids.size !== pools.length) fail(`${path}pools`, "pool ids must be unique");
+  if (!ids.has(activePoolId)) fail(`${path}activePoolId`, "must reference an existing pool");
+  if (!Number.isInteger(nextPoolId) || nextPoolId <= Math.max(...ids)) {
+    fail(`${path}nextPoolId`, "must be greater than every pool id");
+  }
+  validatePromotion(promotion, `${path}promotion`);
+  validateBarrages(barrages, `${path}barrages`);
+  validateSyncMeta(sync, `${path}sync`);
+  return { pools: current, activePoolId, nextPoolId, promotion, barrages, sync: legacy ? undefined : sync };
+}
+
+// What an event keeps across its pool rounds
+function validateEventFields(event, path) {
+  const { eventType, handicaps, bracket, roster, draw, audit } = event;
+  if (eventType !== undefined && !["individual", "team"].includes(eventType)) fail(`${path}eventType`, 'must be "individual" or "team"');
+  validateHandicaps(handicaps, `${path}handicaps`);
+  validateBracket(bracket, `${path}bracket`);
+  validateRoster(roster, `${path}roster`);
+  validateDraw(draw, roster, `${path}draw`);
+  validateAudit(audit, `${path}audit`);
+  return { eventType, handicaps, bracket, roster, draw, audit };
+}
+
+function validateEvent(event, path) {
+  if (!event || typeof event !== "object") fail(path, "must be an object");
+  if (!Number.isInteger(event.id) || event.id < 1) fail(`${path}.id`, "must be a positive integer");
+  ["name", "weapon", "category", "date"].forEach((key) => {
+    if (typeof event[key] !== "string") fail(`${path}.${key}`, "must be a string");
+  });
+  if (event.weapon !== "" && !(event.weapon in WEAPONS)) fail(`${path}.weapon`, `must be "", ${Object.keys(WEAPONS).map((w) => `"${w}"`).join(", ")}`);
+  if (!Array.isArray(event.rounds) || event.rounds.length === 0) fail(`${path}.rounds`, "must be a non-empty array");
+  if (!Number.isInteger(event.round) || event.round < 0 || event.round >= event.rounds.length) {
+    fail(`${path}.round`, "must be the index of one of its rounds");
+  }
+  return {
+    ...event,
+    ...validateEventFields(event, `${path}.`),
+    rounds: event.rounds.map((r, k) => validateRound(r, `${path}.rounds[${k}].`)),
+  };
+}
+
+/**
+ * Validates a tournament `{ name, events, activeEventId, nextEventId }` and
+ * returns it. A single-event state saved before events existed (`{ pools,
+ * activePoolId, …, audit, sync }`) is validated and wrapped as a tournament.
+ * Throws an Error describing the first problem found.
+ */
+export function validateState(state) {
+  if (!state || typeof state !== "object") fail("state", "must be an object");
+  if (!Array.isArray(state.events)) {
+    return migrateFlatState({ ...validateEventFields(state, ""), ...validateRound(state, "") });
+  }
+  const { name, events, activeEventId, nextEventId } = state;
+  if (typeof name !== "string") fail("name", "must be a string");
+  if (events.length === 0) fail("events", "must be a non-empty array");
+  const current = events.map((e, k) => validateEvent(e, `events[${k}]`));
+  const ids = new Set(current.map((e) => e.id));
+  if (ids.size !== events.length) fail("events", "event ids must be unique");
+  if (!ids.has(activeEventId)) fail("activeEventId", "must reference an existing event");
+  if (!Number.isInteger(nextEventId) || nextEventId <= Math.max(...ids)) {
+    fail("nextEventId", "must be greater than every event id");
+  }
+  return { name, events: current, activeEventId, nextEventId };
+}
+
+// -------- File export/import --------
+export function serializeState(state) {
+  return JSON.stringify(
+    { format: FILE_FORMAT, version: FILE_VERSION, exportedAt: new Date().toISOString(), ...state },
+    null,
+    2
+  );
+}
+
+export function parseStateFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("File is not valid JSON");
+  }
+  if (!data || data.format !== FILE_FORMAT) throw new Error("Not a fencing pool export file");
+  if (!READABLE_VERSIONS.includes(data.version)) {
+    throw new Error(`Unsupported file version ${data.version} (expected ${FILE_VERSION})`);
+  }
+  return validateState(data);
+}
+
+/** CSV text for `rows` (arrays of cells), every cell quoted. */
+export function csvText(rows) {
+  const esc = (val) => `"${String(val ?? "").replace(/"/g, '""')}"`;
+  return rows.map((r) => r.map(esc).join(",")).join("\r\n");
+}
+
+export function downloadJSON(text, filename) {
+  downloadFile(text, filename, "application/json;charset=utf-8;");
+}
+
+export function downloadFile(text, filename, type) {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+// -------- Per-device settings --------
+export function loadScorer() {
+  try {
+    return localStorage.getItem(SCORER_KEY) ?? "";
+  } catch {
+    return "";
+  }
+}
+
+export function saveScorer(name) {
+  try {
+    localStorage.setItem(SCORER_KEY, name);
+  } catch {
+    // Private mode may refuse storage; the name then only lasts this session
+  }
+}
+
+/** Live sync settings `{ url, room, enabled, device }`; `device` identifies this browser. */
+export function loadSyncSettings() {
+  let saved = {};
+  try {
+    saved = JSON.parse(localStorage.getItem(SYNC_KEY)) ?? {};
+  } catch {
+    // Unreadable or unavailable storage falls back to defaults
+  }
+  return {
+    url: typeof saved.url === "string" ? saved.url : "",
+    room: typeof saved.room === "string" ? saved.room : "",
+    enabled: saved.enabled === true,
+    device: typeof saved.device === "string" && saved.device ? saved.device : crypto.randomUUID(),
+  };
+}
+
+export function saveSyncSettings(settings) {
+  try {
+    localStorage.setItem(SYNC_KEY, JSON.stringify(settings));
+  } catch {
+    // As above, the settings then only last this session
+  }
+}
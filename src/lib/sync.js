@@ -0,0 +1,284 @@
+import { getBout, withBout } from './pool.js';
+
+/**
+ * Multi-device live sync
+ * - Pool changes travel as small operations keyed by what they touch: one
+ *   bout, one pool's details, a whole pool (added / removed), or the whole
+ *   tournament when a device publishes it for the others to join
+ * - Every operation carries a Lamport stamp; for each key the highest stamp
+ *   wins, so devices converge whatever order operations arrive in
+ * - An operation also carries the stamp it was edited on top of; when that is
+ *   not what the receiver holds, two devices edited the same thing at once
+ *   and the bout is flagged as a conflict
+ * - Transport is BroadcastChannel between tabs of one browser plus the local
+ *   WebSocket relay (server/relay.js) between devices, which keeps a log so
+ *   devices that drop off catch up when they reconnect
+ * - Operations for the relay wait in the sync metadata (`pending`), saved with
+ *   the tournament, until the relay echoes them back, so edits made offline
+ *   survive a reload and are sent again on reconnect unless the relay's
+ *   catch-up shows it already has them
+ */
+
+export const DEFAULT_RELAY_URL = `ws://${typeof location !== "undefined" && location.hostname ? location.hostname : "localhost"}:8787`;
+
+export function makeSyncMeta() {
+  return { clock: 0, versions: {}, seq: 0, epoch: "", pending: [] };
+}
+
+// -------- Stamps --------
+function stampBefore(x, y) {
+  if (!x) return !!y;
+  if (!y) return false;
+  return x.n < y.n || (x.n === y.n && x.d < y.d);
+}
+
+function sameStamp(x, y) {
+  return (!x && !y) || (!!x && !!y && x.n === y.n && x.d === y.d);
+}
+
+// -------- Operation keys --------
+const META_FIELDS = ["name", "date", "boutsPer", "maxTouches", "fencers", "handicap", "ranking", "finalized"];
+
+function poolMeta(pool) {
+  return Object.fromEntries(META_FIELDS.map((f) => [f, pool[f]]));
+}
+
+function sameValue(x, y) {
+  return x === y || JSON.stringify(x) === JSON.stringify(y);
+}
+
+/** Parses a bout key ("bout:<poolId>:<x>-<y>:<k>", fencer ids x < y) into its parts, or null. */
+export function parseBoutKey(key) {
+  const m = /^bout:(\d+):(\d+)-(\d+):(\d+)$/.exec(key);
+  return m ? { poolId: +m[1], x: +m[2], y: +m[3], k: +m[4] } : null;
+}
+
+function boutKey(poolId, pair, k) {
+  return `bout:${poolId}:${pair}:${k}`;
+}
+
+/** The `{ key, value }` changes that turn `prev` into `next`. */
+export function poolChanges(prev, next) {
+  const before = new Map(prev.map((p) => [p.id, p]));
+  const after = new Set(next.map((p) => p.id));
+  const changes = [];
+  next.forEach((pool) => {
+    const old = before.get(pool.id);
+    if (!old) {
+      changes.push({ key: `pool:${pool.id}`, value: pool });
+      return;
+    }
+    if (old === pool) return;
+    const meta = poolMeta(pool);
+    if (!sameValue(poolMeta(old), meta)) changes.push({ key: `meta:${pool.id}`, value: meta });
+    if (old.bouts === pool.bouts) return;
+    Object.entries(pool.bouts).forEach(([pair, list]) => {
+      const before = old.bouts[pair] ?? [];
+      if (before === list) return;
+      list.forEach((bt, k) => {
+        if (before[k] !== bt) changes.push({ key: boutKey(pool.id, pair, k), value: bt });
+      });
+    });
+  });
+  prev.forEach((pool) => {
+    if (!after.has(pool.id)) changes.push({ key: `pool:${pool.id}`, value: null });
+  });
+  return changes;
+}
+
+function applyChange(pools, key, value) {
+  if (key === "*") return value.pools;
+  const bout = parseBoutKey(key);
+  if (bout) {
+    return pools.map((p) => (p.id === bout.poolId ? withBout(p, bout.x, bout.y, bout.k, value) : p));
+  }
+  const [kind, id] = key.split(":");
+  const poolId = Number(id);
+  if (kind === "meta") return pools.map((p) => (p.id === poolId ? { ...p, ...value } : p));
+  if (kind === "pool") {
+    const rest = pools.filter((p) => p.id !== poolId);
+    if (!value) return rest.length > 0 ? rest : pools;
+    return pools.some((p) => p.id === poolId)
+      ? pools.map((p) => (p.id === poolId ? value : p))
+      : [...pools, value].sort((a, b) => a.id - b.id);
+  }
+  return pools;
+}
+
+// -------- Local and remote operations --------
+/**
+ * Stamps local changes as operations for the other devices.
+ * Returns the operations and the updated sync metadata.
+ */
+export function stampChanges(meta, changes, { device, who }) {
+  let clock = meta.clock;
+  const versions = { ...meta.versions };
+  const ops = changes.map(({ key, value }) => {
+    clock += 1;
+    const stamp = { n: clock, d: device };
+    const op = { key, value, stamp, base: versions[key] ?? null, who, at: new Date().toISOString() };
+    versions[key] = stamp;
+    return op;
+  });
+  return { ops, meta: { ...meta, clock, versions } };
+}
+
+/** Stamps the whole tournament so devices joining the room take it over. */
+export function stampPublish(meta, pools, { device, who }) {
+  const clock = meta.clock + 1;
+  const stamp = { n: clock, d: device };
+  const op = { key: "*", value: { pools }, stamp, base: null, who, at: new Date().toISOString() };
+  // Whatever was still waiting for the relay is superseded by the publish
+  return { op, meta: { ...meta, clock, versions: { "*": stamp }, pending: [] } };
+}
+
+/** Adds operations to those waiting for the relay to confirm them. */
+export function queueOps(meta, ops) {
+  return { ...meta, pending: [...(meta.pending ?? []), ...ops] };
+}
+
+/** Drops the waiting operations that the relay has echoed back (`ops`, this device's own). */
+export function ackOps(meta, ops) {
+  if (ops.length === 0 || !meta.pending?.length) return meta;
+  return { ...meta, pending: meta.pending.filter((p) => !ops.some((op) => sameStamp(op.stamp, p.stamp))) };
+}
+
+/**
+ * Applies one remote operation to `pools`.
+ * Returns `{ pools, meta, conflict }`; `conflict` describes a bout that this
+ * device and the sender changed concurrently (null otherwise).
+ */
+export function receiveOp(pools, meta, op) {
+  const current = meta.versions[op.key] ?? null;
+  const published = meta.versions["*"] ?? null;
+  const clock = Math.max(meta.clock, op.stamp.n);
+  // Duplicates (tab + relay) and anything older than the published tournament
+  if (sameStamp(op.stamp, current) || (op.key !== "*" && stampBefore(op.stamp, published))) {
+    return { pools, meta: { ...meta, clock }, conflict: null };
+  }
+  const wins = stampBefore(current, op.stamp);
+  let conflict = null;
+  const bout = parseBoutKey(op.key);
+  if (bout && current && !sameStamp(op.base, current)) {
+    const pool = pools.find((p) => p.id === bout.poolId);
+    const mine = pool && getBout(pool, bout.x, bout.y, bout.k);
+    if (mine && !sameValue(mine, op.value)) {
+      const nameOf = (id) => pool.fencers.find((f) => f.id === id)?.name ?? `#${id}`;
+      conflict = {
+        key: op.key,
+        ...bout,
+        pool: pool.name,
+        pair: `${nameOf(bout.x)} vs ${nameOf(bout.y)}`,
+        mine,
+        theirs: op.value,
+        who: op.who,
+        kept: wins ? "theirs" : "mine",
+        at: op.at,
+      };
+    }
+  }
+  if (!wins) return { pools, meta: { ...meta, clock }, conflict };
+  const versions = op.key === "*" ? { "*": op.stamp } : { ...meta.versions, [op.key]: op.stamp };
+  return { pools: applyChange(pools, op.key, op.value), meta: { ...meta, clock, versions }, conflict };
+}
+
+// -------- Transport --------
+/**
+ * Connects to a sync room over BroadcastChannel and (when `url` is set) the
+ * WebSocket relay, reconnecting with back-off. On every (re)connect it catches
+ * up on what was missed since `getCursor()` (`{ seq, epoch }` of the last relay
+ * message seen). Once that catch-up is in, it sends again those of
+ * `getPending()`, the operations the relay has not yet echoed back, that the
+ * catch-up did not echo either; new operations wait for the catch-up too.
+ *
+ * `onOps(ops, cursor, mine)` receives incoming operations, with `mine` this
+ * device's own operations echoed by the relay; `onStatus(text)` the
+ * connection state.
+ */
+export function connectSync({ url, room, device, getCursor, getPending, onOps, onStatus }) {
+  let ws = null;
+  let closed = false;
+  let retry = 1000;
+  let timer = null;
+  // Whether the relay's catch-up reply on this connection has arrived
+  let caughtUp = false;
+
+  const channel = typeof BroadcastChannel !== "undefined" ? new BroadcastChannel(`fencingpool:${room}`) : null;
+  if (channel) {
+    channel.onmessage = (e) => {
+      if (e.data?.device !== device) onOps(e.data.ops, null, []);
+    };
+  }
+
+  const live = () => !!ws && ws.readyState === WebSocket.OPEN && caughtUp;
+
+  const open = () => {
+    if (closed || !url) return;
+    clearTimeout(timer);
+    caughtUp = false;
+    onStatus("Connecting…");
+    try {
+      ws = new WebSocket(url);
+    } catch (err) {
+      onStatus(`Relay unavailable: ${err.message}`);
+      return;
+    }
+    ws.onopen = () => {
+      retry = 1000;
+      const { seq, epoch } = getCursor();
+      ws.send(JSON.stringify({ type: "hello", room, device, since: seq, epoch }));
+    };
+    ws.onmessage = (e) => {
+      let msg;
+      try {
+        msg = JSON.parse(e.data);
+      } catch {
+        return;
+      }
+      if (msg.type === "ops") {
+        const ops = msg.ops.filter((op) => op.stamp.d !== device);
+        const mine = msg.ops.filter((op) => op.stamp.d === device);
+        onOps(ops, { seq: msg.seq, epoch: msg.epoch }, mine);
+        // The first reply is the catch-up: what it echoes the relay already has
+        if (!caughtUp) {
+          caughtUp = true;
+          onStatus("Live");
+          const unsent = getPending().filter((p) => !mine.some((op) => sameStamp(op.stamp, p.stamp)));
+          if (unsent.length > 0) ws.send(JSON.stringify({ type: "ops", ops: unsent }));
+        }
+      }
+    };
+    ws.onclose = () => {
+      ws = null;
+      if (closed) return;
+      onStatus(`Offline — retrying (${getPending().length} change(s) queued)`);
+      timer = setTimeout(open, retry);
+      retry = Math.min(retry * 2, 15000);
+    };
+  };
+
+  // Reconnect straight away when the device gets its network back
+  const onOnline = () => {
+    if (!ws) open();
+  };
+  window.addEventListener("online", onOnline);
+
+  if (url) open();
+  else onStatus(channel ? "Live (this browser only)" : "Sync unavailable");
+
+  return {
+    send(ops) {
+      if (ops.length === 0) return;
+      channel?.postMessage({ device, ops });
+      // Offline, they wait in the pending list for the next connect
+      if (live()) ws.send(JSON.stringify({ type: "ops", ops }));
+    },
+    close() {
+      closed = true;
+      clearTimeout(timer);
+      window.removeEventListener("online", onOnline);
+      channel?.close();
+      ws?.close();
+    },
+  };
+}
@@ -0,0 +1,131 @@
+import { safeInt } from './bout.js';
+import { createEmptyPool, makePoolFencer } from './pool.js';
+
+/**
+ * Team relay matches
+ * - A team is three fencers plus a substitute; in a team pool each pool
+ *   fencer is a team whose `members` lists the four names, substitute last
+ * - A match is nine legs to 5, 10, … 45 in the standard relay order. The bout
+ *   keeps the running total in `a` / `b` like any other bout, and every leg in
+ *   `relay.legs` as `{ fa, fb, ta, tb }`: the member of each team on the strip
+ *   and the touches each scored in that leg; `relay.first` is the side that
+ *   fences as 1–3
+ * - A substitution puts the substitute in for one starter from a given leg on
+ */
+
+export const TEAM_SIZE = 3;
+export const SUBSTITUTE = 3;
+export const LEG_TOUCHES = 5;
+export const TEAM_TOUCHES = 45;
+export const DEFAULT_TEAM_POOL_SIZE = 4;
+
+// Fencers 1–3 of one team against 4–6 of the other, as member positions
+export const RELAY_ORDER = [
+  [3, 6], [1, 5], [2, 4], [1, 6], [3, 4], [2, 5], [1, 4], [2, 6], [3, 5],
+].map(([p, q]) => [p - 1, q - 4]);
+
+export function makeTeamMembers() {
+  return ["", "", "", ""];
+}
+
+export function makeTeam(id, name) {
+  return makePoolFencer(id, name, { members: makeTeamMembers() });
+}
+
+export function createTeamPool(name, id, size = DEFAULT_TEAM_POOL_SIZE) {
+  return {
+    ...createEmptyPool(name, id, 0),
+    team: true,
+    boutsPer: 1,
+    maxTouches: TEAM_TOUCHES,
+    fencers: Array.from({ length: size }, (_, i) => makeTeam(i + 1, `Team ${i + 1}`)),
+  };
+}
+
+export function memberName(team, m) {
+  const name = team.members?.[m];
+  if (name) return name;
+  return m === SUBSTITUTE ? `${team.name} sub` : `${team.name} ${m + 1}`;
+}
+
+export function makeRelay() {
+  return { first: "a", legs: RELAY_ORDER.map(([fa, fb]) => ({ fa, fb, ta: "", tb: "" })) };
+}
+
+// The member of `side` due on the strip in leg `leg` by the relay order
+function starter(relay, side, leg) {
+  return RELAY_ORDER[leg][side === relay.first ? 0 : 1];
+}
+
+export function relayOf(bt) {
+  return bt.relay ?? makeRelay();
+}
+
+/** Running score each leg is fenced to: 5, 10, … 45. */
+export function legTarget(leg) {
+  return (leg + 1) * LEG_TOUCHES;
+}
+
+/** Running totals `{ a, b }` at the end of each leg. */
+export function relayTotals(relay) {
+  let a = 0;
+  let b = 0;
+  return relay.legs.map((l) => {
+    a += safeInt(l.ta);
+    b += safeInt(l.tb);
+    return { a, b };
+  });
+}
+
+/**
+ * Returns `bt` with the touches scored in leg `leg` set, or null when that
+ * would take a team past the target of that leg or any later one.
+ */
+export function setLegTouches(bt, leg, ta, tb) {
+  const relay = relayOf(bt);
+  const legs = relay.legs.map((l, k) => (k === leg ? { ...l, ta, tb } : l));
+  const totals = relayTotals({ legs });
+  if (totals.some((t, k) => Math.max(t.a, t.b) > legTarget(k))) return null;
+  const fenced = legs.some((l) => l.ta !== "" || l.tb !== "");
+  const last = totals[totals.length - 1];
+  return { ...bt, relay: { ...relay, legs }, a: fenced ? last.a : "", b: fenced ? last.b : "" };
+}
+
+/** The substitution made by `side` as `{ leg, replaces }`, or null. */
+export function substitutionOf(relay, side) {
+  const f = side === "a" ? "fa" : "fb";
+  const leg = relay.legs.findIndex((l) => l[f] === SUBSTITUTE);
+  if (leg < 0) return null;
+  return { leg, replaces: starter(relay, side, leg) };
+}
+
+/**
+ * Returns `bt` with the substitute fencing `side`'s legs of member `replaces`
+ * from leg `leg` on; `replaces` null takes the substitution back.
+ */
+export function substitute(bt, side, leg, replaces) {
+  const relay = relayOf(bt);
+  const f = side === "a" ? "fa" : "fb";
+  const legs = relay.legs.map((l, k) => {
+    const due = starter(relay, side, k);
+    return { ...l, [f]: replaces !== null && k >= leg && due === replaces ? SUBSTITUTE : due };
+  });
+  return { ...bt, relay: { ...relay, legs } };
+}
+
+/**
+ * Per-member figures for one side of a match: `[{ legs, ts, tr }]` indexed by
+ * member position (substitute last), from the legs fenced so far.
+ */
+export function relayMemberStats(bt, side) {
+  const stats = Array.from({ length: TEAM_SIZE + 1 }, () => ({ legs: 0, ts: 0, tr: 0 }));
+  if (!bt.relay) return stats;
+  bt.relay.legs.forEach((l) => {
+    if (l.ta === "" && l.tb === "") return;
+    const s = stats[side === "a" ? l.fa : l.fb];
+    s.legs += 1;
+    s.ts += safeInt(side === "a" ? l.ta : l.tb);
+    s.tr += safeInt(side === "a" ? l.tb : l.ta);
+  });
+  return stats;
+}
@@ -0,0 +1,152 @@
+import { createEmptyPool, createRosterPool } from './pool.js';
+import { createTeamPool } from './team.js';
+import { drawPools } from './roster.js';
+import { resolveBracket } from './bracket.js';
+import { poolProgress } from './validation.js';
+import { DEFAULT_PROMOTION } from './standings.js';
+
+/**
+ * Tournament of several events
+ * - A tournament is `{ name, events, activeEventId, nextEventId }`; each event
+ *   has its own weapon, category, date, roster, pool rounds and DE tableau
+ * - An event's pool rounds are `rounds: [{ pools, activePoolId, nextPoolId,
+ *   promotion, barrages, sync }]` and `round` is the one open; pool ids run on
+ *   from round to round so the audit log can tell the rounds' pools apart
+ * - The editing view works on one event and round at a time in the flat shape
+ *   `{ eventType, pools, activePoolId, …, audit, sync }`: `openEvent` gives it
+ *   and `storeEvent` puts it back
+ */
+
+export const WEAPONS = { F: "Foil", E: "Épée", S: "Sabre" };
+
+const EVENT_FIELDS = ["eventType", "handicaps", "roster", "draw", "bracket", "audit"];
+const ROUND_FIELDS = ["pools", "activePoolId", "nextPoolId", "promotion", "barrages", "sync"];
+
+function pick(obj, fields) {
+  return Object.fromEntries(fields.map((f) => [f, obj[f]]));
+}
+
+export function createRound(pools) {
+  return {
+    pools,
+    activePoolId: pools[0].id,
+    nextPoolId: Math.max(...pools.map((p) => p.id)) + 1,
+    promotion: DEFAULT_PROMOTION,
+    barrages: [],
+    sync: undefined,
+  };
+}
+
+/** A new event with one pool ready for names, dated `date` (today by default). */
+export function createEvent(id, { name, weapon = "", category = "", date, eventType = "individual", handicaps }) {
+  const day = date || new Date().toISOString().slice(0, 10);
+  const pool = eventType === "team" ? createTeamPool("Pool 1", 1) : { ...createEmptyPool("Pool 1", 1), handicap: handicaps };
+  return {
+    id,
+    name,
+    weapon,
+    category,
+    date: day,
+    eventType,
+    handicaps,
+    roster: [],
+    draw: null,
+    bracket: null,
+    audit: [],
+    round: 0,
+    rounds: [createRound([{ ...pool, date: day }])],
+  };
+}
+
+/** The flat editing state of pool round `round` of `event`. */
+export function openEvent(event, round = event.round) {
+  return { ...pick(event, EVENT_FIELDS), ...event.rounds[round] };
+}
+
+/** `event` with the flat editing state `state` stored as its open round. */
+export function storeEvent(event, state) {
+  return {
+    ...event,
+    ...pick(state, EVENT_FIELDS),
+    rounds: event.rounds.map((r, k) => (k === event.round ? pick(state, ROUND_FIELDS) : r)),
+  };
+}
+
+/** Wraps a saved single-event state (before events existed) as a tournament. */
+export function migrateFlatState(state) {
+  const date = state.pools[0]?.date;
+  const shell = createEvent(1, { name: "Event 1", date, eventType: state.eventType ?? "individual", handicaps: state.handicaps });
+  const filled = {
+    ...state,
+    promotion: state.promotion ?? DEFAULT_PROMOTION,
+    barrages: state.barrages ?? [],
+    bracket: state.bracket ?? null,
+    roster: state.roster ?? [],
+    draw: state.draw ?? null,
+    audit: state.audit ?? [],
+  };
+  return { name: "", activeEventId: 1, nextEventId: 2, events: [storeEvent(shell, filled)] };
+}
+
+export function activeEventOf(tournament) {
+  return tournament.events.find((e) => e.id === tournament.activeEventId) ?? tournament.events[0];
+}
+
+/**
+ * Pools for the next round: the fencers promoted in `seeding` (the overall
+ * seeding of `pools`) drawn by serpentine over `poolCount` pools, clubmates
+ * apart, with ids from `firstId` on.
+ */
+export function nextRoundPools(pools, seeding, roster, poolCount, firstId) {
+  const rosterById = new Map(roster.map((f) => [f.id, f]));
+  const entries = seeding
+    .filter((r) => r.promoted)
+    .map((r, k) => {
+      const f = pools.find((p) => p.id === r.poolId).fencers[r.idx];
+      const rf = rosterById.get(f.rosterId);
+      return {
+        id: k + 1,
+        name: f.name.trim() || `Seed ${r.seed}`,
+        club: rf?.club ?? "",
+        nation: rf?.nation ?? "",
+        rating: "",
+        seed: r.seed,
+        rosterId: f.rosterId,
+        grade: f.grade ?? "",
+      };
+    });
+  return drawPools(entries, poolCount).map((ids, p) =>
+    createRosterPool(`Pool ${p + 1}`, firstId + p, ids.map((id) => entries[id - 1]))
+  );
+}
+
+/** Where an event has got to, for the tournament dashboard. */
+export function eventStage(event) {
+  if (event.bracket) {
+    const resolved = resolveBracket(event.bracket);
+    const champion = resolved.medals[0].entry;
+    if (champion) return `Finished — won by ${champion.name}`;
+    const current = resolved.rounds.find((round) => round.some((m) => m.ready && !m.winner));
+    return `Direct elimination${current ? ` — ${current.label}` : ""}`;
+  }
+  const { pools } = event.rounds[event.rounds.length - 1];
+  const progress = pools.reduce(
+    (sum, p) => {
+      const { done, total } = poolProgress(p);
+      return { done: sum.done + done, total: sum.total + total };
+    },
+    { done: 0, total: 0 }
+  );
+  const label = event.rounds.length > 1 ? `Pool round ${event.rounds.length}` : "Pools";
+  if (progress.done === 0 && event.rounds.length === 1) {
+    return event.draw?.locked || event.roster.length === 0 ? `${label} — not started` : "Registration";
+  }
+  if (progress.done === progress.total) return `${label} complete`;
+  return `${label} — ${progress.done}/${progress.total} bouts`;
+}
+
+/** Fencers or teams entered in an event: its roster, or else its first round's pools. */
+export function eventEntries(event) {
+  if (event.roster.length > 0) return event.roster.length;
+  return event.rounds[0].pools.reduce((n, p) => n + p.fencers.length, 0);
+}
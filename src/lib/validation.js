@@ -0,0 +1,84 @@
+import { isBoutEmpty, boutWinner, sideScore } from './bout.js';
+import { pairBouts, poolPairs } from './pool.js';
+
+/**
+ * Checks a pool before its results are finalized
+ * - A bout counts as done once it has a winner, as in the standings: a side
+ *   left blank counts as 0, which is how the +/- buttons leave a shutout;
+ *   bouts of a fencer with a status (A, E, DNF) are annulled and not counted
+ * - Issues are `{ type, text }`, with `x`, `y` (fencer ids) and `k` when they
+ *   point at a bout; a pool can only be finalized with none left
+ * - A finalized pool keeps `finalized: true` and takes no edits until unlocked
+ */
+
+export const ISSUE_LABELS = {
+  missing: "Not fenced",
+  partial: "One score missing",
+  tied: "Tied with no winner",
+  over: "Over the touch limit",
+  blank: "No name",
+  duplicate: "Same name twice",
+};
+
+function activePairs(pool) {
+  const out = new Set(pool.fencers.filter((f) => f.status).map((f) => f.id));
+  return poolPairs(pool).filter(({ x, y }) => !out.has(x) && !out.has(y));
+}
+
+/** Bouts done and bouts to fence as `{ done, total }`. */
+export function poolProgress(pool) {
+  let done = 0;
+  let total = 0;
+  activePairs(pool).forEach(({ x, y }) => {
+    pairBouts(pool, x, y).forEach((bt) => {
+      total += 1;
+      if (boutWinner(bt)) done += 1;
+    });
+  });
+  return { done, total };
+}
+
+/** Whether every bout between fencers without a status has a result. */
+export function isPoolComplete(pool) {
+  const { done, total } = poolProgress(pool);
+  return done === total;
+}
+
+/** Everything that stops the pool being finalized, in sheet order. */
+export function poolIssues(pool) {
+  const issues = [];
+  const label = (f, i) => f.name.trim() || `#${i + 1}`;
+  const seen = new Map();
+  pool.fencers.forEach((f, i) => {
+    const name = f.name.trim().toLowerCase();
+    if (!name) {
+      issues.push({ type: "blank", text: `Fencer ${i + 1} has no name` });
+      return;
+    }
+    if (seen.has(name)) issues.push({ type: "duplicate", text: `${label(f, i)} appears as ${seen.get(name) + 1} and ${i + 1}` });
+    else seen.set(name, i);
+  });
+
+  const nameOf = (id) => {
+    const i = pool.fencers.findIndex((f) => f.id === id);
+    return label(pool.fencers[i], i);
+  };
+  activePairs(pool).forEach(({ x, y }) => {
+    pairBouts(pool, x, y).forEach((bt, k) => {
+      const where = `${nameOf(x)} – ${nameOf(y)}${pool.boutsPer > 1 ? ` (bout ${k + 1})` : ""}`;
+      const at = { x, y, k };
+      if (!boutWinner(bt)) {
+        if (isBoutEmpty(bt)) {
+          issues.push({ type: "missing", text: where, ...at });
+          return;
+        }
+        if (bt.a === "" || bt.b === "") issues.push({ type: "partial", text: where, ...at });
+        else issues.push({ type: "tied", text: `${where} ${sideScore(bt, "a")}–${sideScore(bt, "b")}`, ...at });
+      }
+      if (Math.max(sideScore(bt, "a"), sideScore(bt, "b")) > pool.maxTouches) {
+        issues.push({ type: "over", text: `${where} ${sideScore(bt, "a")}–${sideScore(bt, "b")} (to ${pool.maxTouches})`, ...at });
+      }
+    });
+  });
+  return issues;
+}
@@ -2,9 +2,11 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import Display from './Display.jsx'
+import { isDisplayMode } from './lib/display.js'
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    {isDisplayMode() ? <Display /> : <App />}
   </StrictMode>,
 )
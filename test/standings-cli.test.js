@@ -0,0 +1,140 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { makeEmptyBout } from "../src/lib/bout.js";
+import { createRosterPool, withBout } from "../src/lib/pool.js";
+import { DEFAULT_HANDICAP_TABLE } from "../src/lib/handicap.js";
+import { createEvent } from "../src/lib/tournament.js";
+import { serializeState } from "../src/lib/storage.js";
+
+const CLI = fileURLToPath(new URL("../scripts/standings.js", import.meta.url));
+
+let dir;
+const file = (name) => join(dir, name);
+
+function run(...args) {
+  const { status, stdout, stderr } = spawnSync(process.execPath, [CLI, ...args], { encoding: "utf8" });
+  return { status, stdout, stderr };
+}
+
+// Every fencer beats everyone below them 5–(their position)
+function ladder(id, names) {
+  let pool = { ...createRosterPool(`Pool ${id}`, id, names.map((name, k) => ({ name, rosterId: k + 1 }))), boutsPer: 1 };
+  names.forEach((_, i) =>
+    names.forEach((__, j) => {
+      if (j > i) pool = withBout(pool, i + 1, j + 1, 0, { ...makeEmptyBout(), a: 5, b: i });
+    })
+  );
+  return pool;
+}
+
+before(() => {
+  dir = mkdtempSync(join(tmpdir(), "standings-cli-"));
+  const handicaps = { enabled: false, table: DEFAULT_HANDICAP_TABLE };
+  const event = createEvent(1, { name: "Senior Épée", weapon: "E", handicaps });
+  const pools = [ladder(1, ["A1", "A2", "A3"]), ladder(2, ["B1", "B2", "B3"])];
+  event.rounds[0] = { ...event.rounds[0], pools, activePoolId: 1, nextPoolId: 3, promotion: { mode: "count", value: 4 } };
+  const tournament = { name: "Open", activeEventId: 1, nextEventId: 2, events: [event] };
+  writeFileSync(file("tournament.json"), serializeState(tournament));
+  writeFileSync(file("pool.json"), JSON.stringify(pools[0]));
+  writeFileSync(file("broken.json"), "{ not json");
+  writeFileSync(file("invalid.json"), JSON.stringify({ pools: "none" }));
+});
+
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+// -------- Output formats --------
+test("prints each pool's standings and the overall seeding as text", () => {
+  const { status, stdout } = run(file("tournament.json"));
+  assert.equal(status, 0);
+  assert.match(stdout, /^Senior Épée\n/);
+  assert.match(stdout, /Pool 1\n#\s+Name/);
+  assert.match(stdout, /Pool 2\n/);
+  assert.match(stdout, /Overall seeding\nSeed\s+Place/);
+  assert.match(stdout, /\n\s+1\s+1T\s+A1\s+Pool 1/);
+  assert.match(stdout, /B3 .*Eliminated/);
+});
+
+test("writes JSON with pool standings and the overall seeding", () => {
+  const { status, stdout } = run(file("tournament.json"), "--format", "json");
+  assert.equal(status, 0);
+  const report = JSON.parse(stdout);
+  assert.equal(report.event.name, "Senior Épée");
+  assert.equal(report.round, 1);
+  assert.deepEqual(report.pools.map((p) => p.name), ["Pool 1", "Pool 2"]);
+  assert.deepEqual(report.pools[0].standings[0], {
+    place: 1, tied: false, name: "A1", V: 2, M: 2, ratio: "1.000", HS: 10, HR: 0, IND: 10, status: "",
+  });
+  assert.deepEqual(report.overall.map((r) => [r.seed, r.name, r.promoted]), [
+    [1, "A1", true], [2, "B1", true], [3, "A2", true], [4, "B2", true], [5, "A3", false], [6, "B3", false],
+  ]);
+  assert.equal(report.overall[0].tied, true);
+});
+
+test("writes the overall seeding as CSV", () => {
+  const { status, stdout } = run(file("tournament.json"), "--format", "csv");
+  assert.equal(status, 0);
+  const lines = stdout.trim().split("\r\n");
+  assert.equal(lines[0], '"Seed","Place","Name","Pool","Pool place","V","M","V/M","HS","HR","IND","Status"');
+  assert.equal(lines.length, 7);
+  assert.equal(lines[1], '"1","1T","A1","Pool 1","1","2","2","1.000","10","0","10","Qualified"');
+});
+
+test("writes one pool's standings as CSV with --pool", () => {
+  const { status, stdout } = run(file("tournament.json"), "--format", "csv", "--pool", "2");
+  assert.equal(status, 0);
+  const lines = stdout.trim().split("\r\n");
+  assert.equal(lines[0], '"#","Name","V","M","V/M","HS","HR","IND","Status"');
+  assert.deepEqual(lines.slice(1).map((l) => l.split(",")[1]), ['"B1"', '"B2"', '"B3"']);
+});
+
+test("scores a single pool object", () => {
+  const { status, stdout } = run(file("pool.json"), "--format", "json");
+  assert.equal(status, 0);
+  const report = JSON.parse(stdout);
+  assert.deepEqual(report.pools[0].standings.map((r) => r.name), ["A1", "A2", "A3"]);
+});
+
+test("writes to a file with --out", () => {
+  const out = file("seeding.csv");
+  const { status, stdout } = run(file("tournament.json"), "--format", "csv", "--out", out);
+  assert.equal(status, 0);
+  assert.equal(stdout, "");
+  assert.match(readFileSync(out, "utf8"), /^"Seed","Place"/);
+});
+
+test("prints usage with --help", () => {
+  const { status, stdout } = run("--help");
+  assert.equal(status, 0);
+  assert.match(stdout, /^Usage: node scripts\/standings\.js/);
+});
+
+// -------- Errors --------
+const failures = [
+  ["no input file", [], /expected one input file/],
+  ["two input files", ["a.json", "b.json"], /expected one input file/],
+  ["an unknown option", ["x.json", "--colour"], /Unknown option/],
+  ["an unknown format", ["tournament.json", "--format", "xml"], /--format must be one of text, json, csv/],
+  ["a missing file", ["missing.json"], /cannot read .*missing\.json/],
+  ["a file that is not JSON", ["broken.json"], /broken\.json is not valid JSON/],
+  ["data that is not a tournament", ["invalid.json"], /Invalid tournament data at pools/],
+  ["an unknown event", ["tournament.json", "--event", "9"], /no event with id 9 \(events: 1\)/],
+  ["an event id that is not a number", ["tournament.json", "--event", "one"], /--event must be a whole number/],
+  ["a round out of range", ["tournament.json", "--round", "2"], /--round must be between 1 and 1/],
+  ["an unknown pool", ["tournament.json", "--pool", "5"], /no pool with id 5 \(pools: 1, 2\)/],
+];
+
+failures.forEach(([what, args, message]) => {
+  test(`fails with a message on ${what}`, () => {
+    const paths = args.map((a) => (a.endsWith(".json") ? file(a) : a));
+    const { status, stdout, stderr } = run(...paths);
+    assert.equal(status, 1);
+    assert.equal(stdout, "");
+    assert.match(stderr, /^standings: /);
+    assert.match(stderr, message);
+  });
+});
@@ -0,0 +1,197 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { makeEmptyBout } from "../src/lib/bout.js";
+import { createRosterPool, withBout } from "../src/lib/pool.js";
+import { createBarrage, fencerRef } from "../src/lib/barrage.js";
+import { csvText } from "../src/lib/storage.js";
+import {
+  STANDINGS_COLUMNS,
+  OVERALL_COLUMNS,
+  calcPairStats,
+  computePoolStandings,
+  sortStandings,
+  computeOverallSeeding,
+  standingsRows,
+  overallRows,
+} from "../src/lib/standings.js";
+
+const bout = (a, b, extra = {}) => ({ ...makeEmptyBout(), a, b, ...extra });
+
+// A one-bout-per-pairing pool of `names` (fencer ids 1, 2, …) with `results`
+// as [i, j, score i, score j] by 0-based position
+function poolOf(id, names, results = [], statuses = {}) {
+  let pool = {
+    ...createRosterPool(`Pool ${id}`, id, names.map((name, k) => ({ name, rosterId: k + 1, status: statuses[name] ?? "" }))),
+    boutsPer: 1,
+  };
+  results.forEach(([i, j, si, sj]) => {
+    pool = withBout(pool, i + 1, j + 1, 0, bout(si, sj));
+  });
+  return pool;
+}
+
+// Every fencer beats everyone below them 5–(their position)
+function ladder(id, names) {
+  const results = [];
+  names.forEach((_, i) => names.forEach((__, j) => j > i && results.push([i, j, 5, i])));
+  return poolOf(id, names, results);
+}
+
+const byName = (standings) => Object.fromEntries(standings.map((r) => [r.name, r]));
+
+// -------- calcPairStats --------
+test("calcPairStats totals decided bouts from side a's point of view", () => {
+  assert.deepEqual(calcPairStats([bout(5, 3), bout(2, 5)]), { vA: 1, vB: 1, hsA: 7, hsB: 8, m: 2 });
+});
+
+test("calcPairStats skips empty bouts and level bouts without a priority winner", () => {
+  assert.deepEqual(calcPairStats([makeEmptyBout(), bout(4, 4)]), { vA: 0, vB: 0, hsA: 0, hsB: 0, m: 0 });
+});
+
+test("calcPairStats counts a level bout won on priority", () => {
+  assert.deepEqual(calcPairStats([bout(4, 4, { w: "b", priority: true })]), { vA: 0, vB: 1, hsA: 4, hsB: 4, m: 1 });
+});
+
+test("calcPairStats gives a black-carded bout to the opponent", () => {
+  const stats = calcPairStats([bout(5, 2, { cards: [{ side: "a", type: "B" }] })]);
+  assert.equal(stats.vB, 1);
+  assert.equal(stats.vA, 0);
+});
+
+test("calcPairStats adds handicap touches to the score", () => {
+  assert.deepEqual(calcPairStats([bout(3, 4, { ha: 2 })]), { vA: 1, vB: 0, hsA: 5, hsB: 4, m: 1 });
+});
+
+// -------- computePoolStandings --------
+test("computePoolStandings gives V, M, HS, HR, IND and places in fencer order", () => {
+  const standings = computePoolStandings(ladder(1, ["A", "B", "C"]));
+  assert.deepEqual(
+    standings.map((r) => [r.name, r.V, r.M, r.HS, r.HR, r.IND, r.Place]),
+    [
+      ["A", 2, 2, 10, 0, 10, 1],
+      ["B", 1, 2, 5, 6, -1, 2],
+      ["C", 0, 2, 1, 10, -9, 3],
+    ]
+  );
+  assert.deepEqual(sortStandings(standings).map((r) => r.name), ["A", "B", "C"]);
+});
+
+test("computePoolStandings ranks on indicator, then touches scored, when V/M is level", () => {
+  // Everyone wins once; A and B are level on +2, and B scored more
+  const pool = poolOf(1, ["A", "B", "C"], [[0, 1, 2, 5], [0, 2, 5, 0], [1, 2, 4, 5]]);
+  const r = byName(computePoolStandings(pool));
+  assert.deepEqual([r.A.IND, r.B.IND, r.C.IND], [2, 2, -4]);
+  assert.equal(r.B.Place, 1);
+  assert.equal(r.A.Place, 2);
+  assert.equal(r.C.Place, 3);
+});
+
+test("computePoolStandings shares a place between fencers level on every criterion", () => {
+  // A beats B, B beats C, C beats A, all 5–3
+  const pool = poolOf(1, ["A", "B", "C"], [[0, 1, 5, 3], [1, 2, 5, 3], [0, 2, 3, 5]]);
+  const standings = computePoolStandings(pool);
+  standings.forEach((r) => {
+    assert.equal(r.Place, 1);
+    assert.deepEqual(r.tie, [1, 2, 3].map((id) => fencerRef(1, id)));
+  });
+});
+
+test("computePoolStandings leaves a withdrawn fencer unranked and annuls their bouts", () => {
+  const results = [[0, 1, 5, 1], [0, 2, 5, 2], [1, 2, 5, 3], [2, 0, 5, 4]];
+  const pool = poolOf(1, ["A", "B", "X"], results, { X: "A" });
+  const r = byName(computePoolStandings(pool));
+  assert.equal(r.X.Place, "A");
+  assert.equal(r.X.M, 0);
+  // Only A–B counts for the others
+  assert.deepEqual([r.A.V, r.A.M, r.A.HS, r.A.HR], [1, 1, 5, 1]);
+  assert.deepEqual([r.B.V, r.B.M, r.B.HS, r.B.HR], [0, 1, 1, 5]);
+  assert.equal(r.A.Place, 1);
+  assert.equal(r.B.Place, 2);
+});
+
+test("computePoolStandings treats an excluded fencer like a withdrawn one", () => {
+  const pool = poolOf(1, ["A", "B", "E1"], [[0, 1, 5, 1], [2, 0, 5, 0], [2, 1, 5, 0]], { E1: "E" });
+  const standings = sortStandings(computePoolStandings(pool));
+  assert.deepEqual(standings.map((r) => [r.name, r.Place]), [["A", 1], ["B", 2], ["E1", "E"]]);
+  assert.equal(standings[0].HR, 1);
+});
+
+test("computePoolStandings settles a tie with a finished barrage in the pool's scope", () => {
+  const pool = poolOf(1, ["A", "B", "C"], [[0, 1, 5, 3], [1, 2, 5, 3], [0, 2, 3, 5]]);
+  const entries = pool.fencers.map((f) => ({ ref: fencerRef(1, f.id), name: f.name }));
+  let barrage = createBarrage(1, "pool:1", "Barrage", entries);
+  // C beats both, then B beats A
+  barrage = withBout(barrage, 1, 3, 0, bout(2, 5));
+  barrage = withBout(barrage, 2, 3, 0, bout(1, 5));
+  barrage = withBout(barrage, 1, 2, 0, bout(3, 5));
+  const r = byName(computePoolStandings(pool, [barrage]));
+  assert.deepEqual([r.C.Place, r.B.Place, r.A.Place], [1, 2, 3]);
+  assert.equal(r.A.tie, null);
+});
+
+test("computePoolStandings ignores an unfinished barrage or one from another scope", () => {
+  const pool = poolOf(1, ["A", "B", "C"], [[0, 1, 5, 3], [1, 2, 5, 3], [0, 2, 3, 5]]);
+  const entries = pool.fencers.map((f) => ({ ref: fencerRef(1, f.id), name: f.name }));
+  const unfinished = withBout(createBarrage(1, "pool:1", "Barrage", entries), 1, 2, 0, bout(5, 1));
+  let elsewhere = createBarrage(2, "cut", "Barrage", entries);
+  elsewhere = withBout(elsewhere, 1, 2, 0, bout(5, 1));
+  elsewhere = withBout(elsewhere, 1, 3, 0, bout(5, 1));
+  elsewhere = withBout(elsewhere, 2, 3, 0, bout(5, 1));
+  computePoolStandings(pool, [unfinished, elsewhere]).forEach((r) => assert.equal(r.Place, 1));
+});
+
+// -------- computeOverallSeeding --------
+test("computeOverallSeeding merges the pools and promotes a percentage", () => {
+  const pools = [ladder(1, ["A1", "A2", "A3"]), ladder(2, ["B1", "B2", "B3"])];
+  const rows = computeOverallSeeding(pools, { mode: "percent", value: 50 });
+  assert.deepEqual(rows.map((r) => r.seed), [1, 2, 3, 4, 5, 6]);
+  assert.deepEqual(rows.map((r) => r.name), ["A1", "B1", "A2", "B2", "A3", "B3"]);
+  assert.deepEqual(rows.map((r) => r.Place), [1, 1, 3, 3, 5, 5]);
+  assert.deepEqual(rows.map((r) => r.promoted), [true, true, true, true, false, false]);
+  assert.deepEqual(rows.map((r) => r.poolPlace), [1, 1, 2, 2, 3, 3]);
+  assert.equal(rows[0].poolName, "Pool 1");
+});
+
+test("computeOverallSeeding promotes everyone tied on the cut line and flags them", () => {
+  const pools = [ladder(1, ["A1", "A2", "A3"]), ladder(2, ["B1", "B2", "B3"])];
+  const rows = computeOverallSeeding(pools, { mode: "count", value: 3 });
+  assert.deepEqual(rows.filter((r) => r.promoted).map((r) => r.name), ["A1", "B1", "A2", "B2"]);
+  assert.deepEqual(rows.filter((r) => r.onCut).map((r) => r.name), ["A2", "B2"]);
+});
+
+test("computeOverallSeeding lets a cut barrage settle the tie on the cut line", () => {
+  const pools = [ladder(1, ["A1", "A2", "A3"]), ladder(2, ["B1", "B2", "B3"])];
+  const entries = [{ ref: fencerRef(1, 2), name: "A2" }, { ref: fencerRef(2, 2), name: "B2" }];
+  const barrage = withBout(createBarrage(1, "cut", "Cut barrage", entries), 1, 2, 0, bout(1, 5));
+  const rows = computeOverallSeeding(pools, { mode: "count", value: 3 }, [barrage]);
+  assert.deepEqual(rows.filter((r) => r.promoted).map((r) => r.name), ["A1", "B1", "B2"]);
+  assert.equal(rows.find((r) => r.name === "A2").Place, 4);
+});
+
+test("computeOverallSeeding lists fencers with a status last and never promotes them", () => {
+  const pools = [poolOf(1, ["A", "B", "X"], [[0, 1, 5, 0]], { X: "A" })];
+  const rows = computeOverallSeeding(pools, { mode: "percent", value: 100 });
+  assert.deepEqual(rows.map((r) => [r.name, r.Place, r.promoted]), [["A", 1, true], ["B", 2, true], ["X", "A", false]]);
+});
+
+// -------- CSV rows --------
+test("standingsRows follows STANDINGS_COLUMNS and names statuses", () => {
+  const pool = poolOf(1, ["A", "B", "X"], [[0, 1, 5, 2]], { X: "E" });
+  const rows = standingsRows(sortStandings(computePoolStandings(pool)));
+  assert.equal(rows[0].length, STANDINGS_COLUMNS.length);
+  assert.deepEqual(rows[0], [1, "A", 1, 1, "1.000", 5, 2, 3, ""]);
+  assert.deepEqual(rows[2], ["E", "X", 0, 0, "0.000", 0, 0, 0, "Excluded"]);
+});
+
+test("overallRows follows OVERALL_COLUMNS and marks ties and the cut", () => {
+  const pools = [ladder(1, ["A1", "A2"]), ladder(2, ["B1", "B2"])];
+  const rows = overallRows(computeOverallSeeding(pools, { mode: "count", value: 2 }));
+  assert.equal(rows[0].length, OVERALL_COLUMNS.length);
+  assert.deepEqual(rows[0], [1, "1T", "A1", "Pool 1", 1, 1, 1, "1.000", 5, 0, 5, "Qualified"]);
+  assert.deepEqual(rows[3].slice(0, 3), [4, "3T", "B2"]);
+  assert.equal(rows[3][11], "Eliminated");
+});
+
+test("csvText quotes every cell and escapes quotes", () => {
+  assert.equal(csvText([["#", "Name"], [1, 'Jo "Ace" Smith'], [2, null]]), '"#","Name"\r\n"1","Jo ""Ace"" Smith"\r\n"2",""');
+});
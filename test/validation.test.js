@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { makeEmptyBout, stepBout } from "../src/lib/bout.js";
+import { createRosterPool, withBout } from "../src/lib/pool.js";
+import { poolProgress, isPoolComplete, poolIssues } from "../src/lib/validation.js";
+import { computePoolStandings } from "../src/lib/standings.js";
+
+const bout = (a, b, extra = {}) => ({ ...makeEmptyBout(), a, b, ...extra });
+
+function pairPool(bt) {
+  const pool = { ...createRosterPool("Pool 1", 1, [{ name: "A", rosterId: 1 }, { name: "B", rosterId: 2 }]), boutsPer: 1 };
+  return withBout(pool, 1, 2, 0, bt);
+}
+
+// Five presses of + for side a, none for side b
+function shutout() {
+  let bt = makeEmptyBout();
+  for (let n = 0; n < 5; n += 1) bt = stepBout(bt, "a", 1, 5);
+  return bt;
+}
+
+test("a shutout scored with the +/- buttons counts as done", () => {
+  const bt = shutout();
+  assert.equal(bt.b, "");
+  const pool = pairPool(bt);
+  assert.deepEqual(poolProgress(pool), { done: 1, total: 1 });
+  assert.equal(isPoolComplete(pool), true);
+  assert.deepEqual(poolIssues(pool), []);
+  // and agrees with the standings
+  assert.equal(computePoolStandings(pool)[0].V, 1);
+});
+
+test("an empty bout is not fenced", () => {
+  const pool = pairPool(makeEmptyBout());
+  assert.deepEqual(poolProgress(pool), { done: 0, total: 1 });
+  assert.deepEqual(poolIssues(pool).map((i) => i.type), ["missing"]);
+});
+
+test("one blank side with no winner is a missing score", () => {
+  assert.deepEqual(poolIssues(pairPool(bout(0, ""))).map((i) => i.type), ["partial"]);
+});
+
+test("a level bout without a priority winner is not done", () => {
+  const pool = pairPool(bout(4, 4));
+  assert.equal(isPoolComplete(pool), false);
+  assert.deepEqual(poolIssues(pool).map((i) => i.type), ["tied"]);
+  assert.equal(isPoolComplete(pairPool(bout(4, 4, { w: "a", priority: true }))), true);
+});
+
+test("a black card decides a bout with no score", () => {
+  const pool = pairPool(bout("", "", { cards: [{ side: "b", type: "B" }] }));
+  assert.equal(isPoolComplete(pool), true);
+  assert.deepEqual(poolIssues(pool), []);
+});